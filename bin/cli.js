@@ -29,7 +29,131 @@ program
     true
   )
   .option("--no-change-origin", "Do not change the origin header")
+  .option(
+    "--cookie-domain-rewrite [domain]",
+    "Rewrite the Domain of upstream cookies to this domain (without a value: drop it)"
+  )
+  .option("--cookie-path-rewrite <path>", "Rewrite the Path of upstream cookies to this path")
+  .option(
+    "--strip-secure-cookies",
+    "Drop Secure and SameSite=None from upstream cookies on plain HTTP requests"
+  )
   .option("--forward-all <target>", "Forward all traffic to a specific target (e.g., http://localhost:3000)")
+  .option("--health-check <path>", "Actively probe every upstream on this path (e.g., /health)")
+  .option("--health-check-interval <ms>", "Interval between health probes in milliseconds", "10000")
+  .option("--retry-attempts <count>", "Tries per request, the first one included, for idempotent requests", "2")
+  .option("--retry-status <codes>", "Comma-separated upstream statuses to retry, e.g. 502,503,504")
+  .option("--no-retry", "Never retry requests against upstreams")
+  .option("--no-keep-alive", "Open a new upstream connection for every request")
+  .option("--upstream-max-sockets <count>", "Connections per upstream, in use or idle", "256")
+  .option("--upstream-idle-timeout <ms>", "How long an idle upstream connection is kept open", "4000")
+  .option("--upstream-socket-ttl <ms>", "Stop reusing an upstream connection after this long (0: never)", "60000")
+  .option("--circuit-breaker", "Fail fast with 503 while an upstream keeps failing")
+  .option("--circuit-open-duration <ms>", "How long an open circuit fails fast before trial requests", "30000")
+  .option("--circuit-half-open-requests <count>", "Trial requests that must succeed to close a circuit", "1")
+  .option("--tls-cert <file>", "Serve HTTPS with this PEM certificate")
+  .option("--tls-key <file>", "Private key for --tls-cert")
+  .option("--tls-self-signed", "Serve HTTPS with a generated self-signed development certificate")
+  .option(
+    "--tls-sni <host=cert,key>",
+    "Certificate for a specific hostname (SNI). Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option("--http-port <port>", "With HTTPS, also listen for plain HTTP on this port")
+  .option("--redirect-http", "Redirect the --http-port listener to HTTPS")
+  .option("--upstream-verify", "Verify upstream TLS certificates (default: on)")
+  .option("--no-upstream-verify", "Accept any upstream TLS certificate, e.g. a self-signed development backend")
+  .option("--upstream-ca <file>", "CA bundle to trust for upstream TLS")
+  .option("--upstream-cert <file>", "Client certificate for mutual TLS with upstreams")
+  .option("--upstream-key <file>", "Private key for --upstream-cert")
+  .option("--upstream-servername <name>", "SNI servername to send to upstreams")
+  .option("--upstream-min-tls <version>", "Minimum upstream TLS version, e.g. TLSv1.2")
+  .option("--upstream-max-tls <version>", "Maximum upstream TLS version, e.g. TLSv1.3")
+  .option("--cors <mode>", "CORS handling: proxy, pass-through or off", "proxy")
+  .option(
+    "--cors-origin <origin>",
+    "Allowed CORS origin (exact, wildcard or /regex/), with credentials. Without one any origin gets *, without credentials. Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option("--htpasswd <file>", "Require HTTP Basic auth on every route, checked against this htpasswd file")
+  .option(
+    "--api-key <key>",
+    "Require this API key (X-API-Key header) on every route. Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option(
+    "--ip-allow <cidr>",
+    "Only accept clients in this address or CIDR range. Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option(
+    "--ip-deny <cidr>",
+    "Refuse clients in this address or CIDR range. Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option(
+    "--trusted-proxy <cidr>",
+    "Take the client address from X-Forwarded-For when sent by this proxy. Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option("--max-body-size <size>", "Refuse request bodies larger than this with 413, e.g. 10mb")
+  .option("--max-header-size <size>", "Refuse requests with more header bytes than this with 431, e.g. 16kb")
+  .option("--max-header-count <count>", "Refuse requests with more headers than this with 431")
+  .option("--max-url-length <length>", "Refuse longer URLs with 414")
+  .option("--methods <list>", "Comma-separated methods allowed on routes without their own, e.g. GET,HEAD")
+  .option("--cache", "Cache upstream responses according to Cache-Control")
+  .option("--cache-size <size>", "Maximum in-memory cache size, e.g. 100mb", "50mb")
+  .option("--cache-dir <dir>", "Also persist cached responses to this directory")
+  .option("--cache-ttl <seconds>", "Cache responses for this long, ignoring upstream headers")
+  .option("--admin-port <port>", "Serve the admin API on this port")
+  .option("--admin-host <host>", "Host to bind the admin API to", "127.0.0.1")
+  .option(
+    "--admin-token <token>",
+    "Token required by the admin API (default: $FLEXIBLE_PROXY_ADMIN_TOKEN or a random one)"
+  )
+  .option("--admin-persist", "Save admin API route changes to the routes file")
+  .option("--metrics", "Expose Prometheus metrics (on the proxy port unless --metrics-port is set)")
+  .option("--metrics-path <path>", "Path of the metrics endpoint", "/metrics")
+  .option("--metrics-port <port>", "Serve metrics on a separate port")
+  .option("--log-format <format>", "Log output: pretty, json or combined", "pretty")
+  .option("--log-file <path>", "Also write structured logs to this file, rotated")
+  .option("--log-max-size <size>", "Rotate the log file at this size, e.g. 20m", "20m")
+  .option("--log-rotate <interval>", "Start a new log file daily or hourly", "daily")
+  .option("--log-max-files <count>", "Number of rotated log files to keep", "14")
+  .option(
+    "--log-redact <header>",
+    "Header to mask in structured logs, besides Authorization and Cookie. Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option("--otlp-endpoint <url>", "Export OpenTelemetry traces to this OTLP/HTTP endpoint")
+  .option(
+    "--otlp-header <name=value>",
+    "Header sent with trace exports, e.g. an API key. Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option(
+    "--trace-service-name <name>",
+    "Service name reported in traces (default: $OTEL_SERVICE_NAME or flexible-proxy)"
+  )
+  .option("--trace-sample-ratio <ratio>", "Share of new traces to record, 0 to 1", "1")
+  .option("--no-faults", "Start with route fault rules switched off (toggle with SIGUSR2)")
+  .option(
+    "--plugin <module>",
+    "Load hooks from a JS module (path or package name). Can be used multiple times",
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option("--record <file>", "Record proxied traffic to a HAR file")
+  .option("--replay <file>", "Answer requests recorded in a HAR file without contacting upstreams")
+  .option("--replay-strict", "With --replay, answer unrecorded requests with 404 instead of proxying them")
   .allowUnknownOption() // Allows manual parsing of --route
   .parse();
 
@@ -60,14 +184,15 @@ while (i < args.length) {
   }
 }
 
-// Load routes from file if specified
+// Check the routes file if specified; the proxy loads it itself, and only
+// writes its routes back to it
+let routesFromFile = {};
 if (options.routesFile) {
   try {
     const fs = require("fs");
-    const routesFromFile = JSON.parse(
+    routesFromFile = JSON.parse(
       fs.readFileSync(options.routesFile, "utf8")
     );
-    Object.assign(routes, routesFromFile);
   } catch (error) {
     console.error(`Error loading routes file: ${error.message}`);
     process.exit(1);
@@ -85,7 +210,7 @@ if (options.forwardAll) {
   }
   
   // In forward-all mode, routes are ignored
-  if (Object.keys(routes).length > 0) {
+  if (Object.keys(routes).length > 0 || Object.keys(routesFromFile).length > 0) {
     console.log("⚠️  Warning: Routes specified but --forward-all is active. All traffic will be forwarded to the target.");
   }
   
@@ -94,8 +219,12 @@ if (options.forwardAll) {
     process.exit(1);
   }
 } else {
-  // Route-based mode: require routes
-  if (Object.keys(routes).length === 0) {
+  // Route-based mode: require routes, unless answering from a recording
+  if (
+    Object.keys(routes).length === 0 &&
+    Object.keys(routesFromFile).length === 0 &&
+    !options.replay
+  ) {
     console.log(
       "No routes specified. Use --route, --routes-file, or --forward-all to configure proxy."
     );
@@ -108,6 +237,120 @@ if (options.forwardAll) {
   }
 }
 
+// Build HTTPS configuration
+let tls = null;
+if (options.tlsCert || options.tlsKey || options.tlsSelfSigned) {
+  if (!options.tlsSelfSigned && !(options.tlsCert && options.tlsKey)) {
+    console.error("--tls-cert and --tls-key must be used together");
+    process.exit(1);
+  }
+  tls = {
+    cert: options.tlsCert,
+    key: options.tlsKey,
+    selfSigned: !!options.tlsSelfSigned,
+    sni: {},
+  };
+  for (const entry of options.tlsSni) {
+    const [hostname, files] = entry.split("=");
+    const [cert, key] = (files || "").split(",");
+    if (!hostname || !cert || !key) {
+      console.error(`Invalid --tls-sni value: ${entry}. Use host=cert.pem,key.pem`);
+      process.exit(1);
+    }
+    tls.sni[hostname] = { cert, key };
+  }
+} else if (options.tlsSni.length > 0 || options.httpPort || options.redirectHttp) {
+  console.error(
+    "--tls-sni, --http-port and --redirect-http require --tls-cert/--tls-key or --tls-self-signed"
+  );
+  process.exit(1);
+}
+if (options.redirectHttp && !options.httpPort) {
+  console.error("--redirect-http requires --http-port to be specified");
+  process.exit(1);
+}
+
+if (!!options.upstreamCert !== !!options.upstreamKey) {
+  console.error("--upstream-cert and --upstream-key must be used together");
+  process.exit(1);
+}
+
+if (!["proxy", "pass-through", "off"].includes(options.cors)) {
+  console.error(`Invalid --cors mode: ${options.cors}. Use proxy, pass-through or off`);
+  process.exit(1);
+}
+if (options.corsOrigin.length > 0 && options.cors !== "proxy") {
+  console.error("--cors-origin can only be used with --cors proxy");
+  process.exit(1);
+}
+
+if ((options.cacheDir || options.cacheTtl) && !options.cache) {
+  console.error("--cache-dir and --cache-ttl require --cache");
+  process.exit(1);
+}
+
+if (options.adminPersist && !options.routesFile) {
+  console.error("--admin-persist requires --routes-file to be specified");
+  process.exit(1);
+}
+
+if (!/^[1-9]\d*$/.test(options.healthCheckInterval)) {
+  console.error(
+    `Invalid --health-check-interval: ${options.healthCheckInterval}. Use a positive number of milliseconds`
+  );
+  process.exit(1);
+}
+
+if (options.metricsPort && !options.metrics) {
+  console.error("--metrics-port requires --metrics");
+  process.exit(1);
+}
+
+if (!["pretty", "json", "combined"].includes(options.logFormat)) {
+  console.error(`Invalid --log-format: ${options.logFormat}. Use pretty, json or combined`);
+  process.exit(1);
+}
+if (!["daily", "hourly"].includes(options.logRotate)) {
+  console.error(`Invalid --log-rotate: ${options.logRotate}. Use daily or hourly`);
+  process.exit(1);
+}
+if (!/^\d+[kmg]?$/i.test(options.logMaxSize)) {
+  console.error(`Invalid --log-max-size: ${options.logMaxSize}. Use e.g. 500k, 20m or 1g`);
+  process.exit(1);
+}
+
+const traceSampleRatio = Number(options.traceSampleRatio);
+if (!(traceSampleRatio >= 0 && traceSampleRatio <= 1)) {
+  console.error(`Invalid --trace-sample-ratio: ${options.traceSampleRatio}. Use a number from 0 to 1`);
+  process.exit(1);
+}
+const otlpHeaders = {};
+for (const entry of options.otlpHeader) {
+  const separator = entry.indexOf("=");
+  if (separator < 1) {
+    console.error(`Invalid --otlp-header value: ${entry}. Use name=value`);
+    process.exit(1);
+  }
+  otlpHeaders[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+}
+if (options.otlpEndpoint) {
+  try {
+    new URL(options.otlpEndpoint);
+  } catch (error) {
+    console.error(`Invalid --otlp-endpoint: ${options.otlpEndpoint}. Must be a valid URL (e.g., http://localhost:4318)`);
+    process.exit(1);
+  }
+}
+
+if (options.record && options.replay) {
+  console.error("--record and --replay cannot be used together");
+  process.exit(1);
+}
+if (options.replayStrict && !options.replay) {
+  console.error("--replay-strict requires --replay");
+  process.exit(1);
+}
+
 // Validate watch option
 if (options.watch && !options.routesFile) {
   console.error("--watch option requires --routes-file to be specified");
@@ -125,20 +368,137 @@ const server = createProxyServer({
   logLevel: options.logLevel,
   preserveHeaders: options.preserveHeaders,
   changeOrigin: options.changeOrigin,
+  // A bare --cookie-domain-rewrite makes upstream cookies host-only
+  cookieDomainRewrite:
+    options.cookieDomainRewrite === true ? "" : options.cookieDomainRewrite || false,
+  cookiePathRewrite: options.cookiePathRewrite || false,
+  stripSecureCookies: !!options.stripSecureCookies,
   forwardAll: options.forwardAll,
+  healthCheck: {
+    path: options.healthCheck || null,
+    interval: parseInt(options.healthCheckInterval),
+  },
+  retry: options.retry
+    ? {
+        attempts: parseInt(options.retryAttempts),
+        ...(options.retryStatus
+          ? { statuses: options.retryStatus.split(",").map((code) => parseInt(code)) }
+          : {}),
+      }
+    : false,
+  keepAlive: options.keepAlive
+    ? {
+        maxSockets: parseInt(options.upstreamMaxSockets),
+        freeSocketTimeout: parseInt(options.upstreamIdleTimeout),
+        socketTtl: parseInt(options.upstreamSocketTtl),
+      }
+    : false,
+  circuitBreaker: options.circuitBreaker
+    ? {
+        openDuration: parseInt(options.circuitOpenDuration),
+        halfOpenRequests: parseInt(options.circuitHalfOpenRequests),
+      }
+    : false,
+  tls,
+  httpPort: options.httpPort ? parseInt(options.httpPort) : null,
+  redirectHttp: !!options.redirectHttp,
+  upstreamTls: {
+    verify: options.upstreamVerify !== false,
+    ca: options.upstreamCa,
+    cert: options.upstreamCert,
+    key: options.upstreamKey,
+    servername: options.upstreamServername,
+    minVersion: options.upstreamMinTls,
+    maxVersion: options.upstreamMaxTls,
+  },
+  cors:
+    options.cors !== "proxy"
+      ? options.cors
+      : options.corsOrigin.length > 0
+      ? { origins: options.corsOrigin }
+      : true,
+  cache: options.cache
+    ? {
+        maxSize: options.cacheSize,
+        dir: options.cacheDir,
+        ttl: options.cacheTtl !== undefined ? parseInt(options.cacheTtl) : undefined,
+      }
+    : false,
+  admin: options.adminPort
+    ? {
+        port: parseInt(options.adminPort),
+        host: options.adminHost,
+        token: options.adminToken || process.env.FLEXIBLE_PROXY_ADMIN_TOKEN,
+        persist: !!options.adminPersist,
+      }
+    : null,
+  metrics: options.metrics
+    ? {
+        path: options.metricsPath,
+        port: options.metricsPort ? parseInt(options.metricsPort) : undefined,
+      }
+    : null,
+  logFormat: options.logFormat,
+  logFile: options.logFile
+    ? {
+        path: options.logFile,
+        maxSize: options.logMaxSize.toLowerCase(),
+        rotate: options.logRotate,
+        maxFiles: parseInt(options.logMaxFiles),
+      }
+    : null,
+  logRedact: options.logRedact,
+  faults: options.faults,
+  // Routes with their own `auth` ignore these
+  auth: [
+    ...(options.htpasswd ? [{ type: "basic", htpasswd: options.htpasswd }] : []),
+    ...(options.apiKey.length > 0 ? [{ type: "apiKey", keys: options.apiKey }] : []),
+  ],
+  guards: {
+    ipAllow: options.ipAllow,
+    ipDeny: options.ipDeny,
+    trustedProxies: options.trustedProxy,
+    maxBodySize: options.maxBodySize,
+    maxHeaderSize: options.maxHeaderSize,
+    maxHeaderCount: options.maxHeaderCount ? parseInt(options.maxHeaderCount) : undefined,
+    maxUrlLength: options.maxUrlLength ? parseInt(options.maxUrlLength) : undefined,
+    methods: options.methods,
+  },
+  plugins: options.plugin,
+  record: options.record,
+  replay: options.replay ? { file: options.replay, strict: !!options.replayStrict } : null,
+  tracing: options.otlpEndpoint
+    ? {
+        endpoint: options.otlpEndpoint,
+        headers: otlpHeaders,
+        serviceName:
+          options.traceServiceName || process.env.OTEL_SERVICE_NAME || "flexible-proxy",
+        sampleRatio: traceSampleRatio,
+      }
+    : null,
 });
 
-server.start();
+function failToStart(error) {
+  console.error(`Error starting proxy: ${error.message}`);
+  process.exit(1);
+}
+
+try {
+  server.start().catch(failToStart);
+} catch (error) {
+  failToStart(error);
+}
 
 // Handle graceful shutdown
-process.on("SIGINT", () => {
+function shutdown() {
   console.log("\n🛑 Shutting down proxy server...");
-  server.stop();
-  process.exit(0);
-});
+  // Give pending trace exports a moment, but never hang on exit
+  setTimeout(() => process.exit(0), 2000).unref();
+  server.stop().then(() => process.exit(0));
+}
 
-process.on("SIGTERM", () => {
-  console.log("\n🛑 Shutting down proxy server...");
-  server.stop();
-  process.exit(0);
-});
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+// `kill -USR2 <pid>` switches fault injection on and off
+process.on("SIGUSR2", () => server.toggleFaults());
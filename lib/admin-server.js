@@ -0,0 +1,229 @@
+const http = require("http");
+const crypto = require("crypto");
+
+// Largest request body the admin API accepts (route definitions are small)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+class AdminError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data, null, 2);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+// A body over MAX_BODY_SIZE is not read any further; the 413 is sent with
+// Connection: close, which ends the upload once the answer is out
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new AdminError(413, "request body too large");
+    if (Number(req.headers["content-length"]) > MAX_BODY_SIZE) {
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        req.off("data", onData);
+        req.off("end", onEnd);
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    const onEnd = () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch (error) {
+        reject(new AdminError(400, `invalid JSON body: ${error.message}`));
+      }
+    };
+    req.on("data", onData);
+    req.on("end", onEnd);
+    req.on("error", reject);
+  });
+}
+
+// Constant-time comparison so the token cannot be guessed byte by byte
+function tokenMatches(expected, given) {
+  if (!given) return false;
+  const a = crypto.createHash("sha256").update(expected).digest();
+  const b = crypto.createHash("sha256").update(given).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requestToken(req) {
+  const authorization = req.headers.authorization || "";
+  if (authorization.toLowerCase().startsWith("bearer ")) {
+    return authorization.slice("bearer ".length).trim();
+  }
+  return req.headers["x-admin-token"] || null;
+}
+
+// Admin API on its own listener. `proxy` is the object returned by
+// createProxyServer; every call needs the token as a Bearer token or in
+// the X-Admin-Token header.
+//   GET    /routes            current routes table
+//   PUT    /routes/:pattern   add or replace a route (?host= for a virtual host)
+//   DELETE /routes/:pattern   remove a route (?host= for a virtual host)
+//   POST   /reload            re-read the routes file
+//   GET    /upstreams         upstream pools with health and load
+//   GET    /stats             request counters
+function createAdminServer(proxy, config = {}) {
+  const {
+    port = 9000,
+    host = "127.0.0.1",
+    persist = false, // write route changes back to the routes file
+    logger,
+  } = config;
+  // Without a configured token a random one is generated and printed
+  const token = config.token || crypto.randomBytes(18).toString("base64url");
+  let server = null;
+
+  // Write changes back when asked to, globally or with ?persist=true
+  function shouldPersist(url) {
+    const flag = url.searchParams.get("persist");
+    return flag === null ? persist : flag === "true" || flag === "1";
+  }
+
+  // Returns whether the routes were written back to the routes file
+  function persistIfRequested(url) {
+    if (!shouldPersist(url)) return false;
+    try {
+      proxy.persistRoutes();
+    } catch (error) {
+      throw new AdminError(500, `route applied but not saved: ${error.message}`);
+    }
+    return true;
+  }
+
+  async function dispatch(req, url) {
+    const { pathname } = url;
+    if (pathname === "/routes" && req.method === "GET") {
+      return [200, { routes: proxy.getRoutes() }];
+    }
+    if (pathname.startsWith("/routes/")) {
+      let pattern;
+      try {
+        pattern = decodeURIComponent(pathname.slice("/routes/".length));
+      } catch (_) {
+        throw new AdminError(400, "malformed route pattern");
+      }
+      const hostname = url.searchParams.get("host");
+      if (!pattern) {
+        throw new AdminError(400, "missing route pattern");
+      }
+      if (req.method === "PUT") {
+        const value = await readJsonBody(req);
+        if (value === undefined) {
+          throw new AdminError(400, "request body must be a route definition");
+        }
+        try {
+          proxy.setRoute(pattern, value, hostname);
+        } catch (error) {
+          throw new AdminError(400, error.message);
+        }
+        const persisted = persistIfRequested(url);
+        logger.success(`Admin: route ${hostname ? `${hostname} ` : ""}${pattern} updated`);
+        return [200, { pattern, host: hostname, route: value, persisted }];
+      }
+      if (req.method === "DELETE") {
+        let deleted;
+        try {
+          deleted = proxy.deleteRoute(pattern, hostname);
+        } catch (error) {
+          throw new AdminError(400, error.message);
+        }
+        if (!deleted) {
+          throw new AdminError(404, `no route "${pattern}"${hostname ? ` for host ${hostname}` : ""}`);
+        }
+        const persisted = persistIfRequested(url);
+        logger.success(`Admin: route ${hostname ? `${hostname} ` : ""}${pattern} removed`);
+        return [200, { pattern, host: hostname, deleted: true, persisted }];
+      }
+      throw new AdminError(405, `${req.method} not allowed on ${pathname}`);
+    }
+    if (pathname === "/reload" && req.method === "POST") {
+      try {
+        proxy.reloadRoutesFile();
+      } catch (error) {
+        throw new AdminError(400, error.message);
+      }
+      logger.success("Admin: routes reloaded from file");
+      return [200, { routes: proxy.getRoutes() }];
+    }
+    if (pathname === "/upstreams" && req.method === "GET") {
+      return [200, { upstreams: proxy.getUpstreams() }];
+    }
+    if (pathname === "/stats" && req.method === "GET") {
+      return [200, proxy.getStats()];
+    }
+    if (["/routes", "/reload", "/upstreams", "/stats"].includes(pathname)) {
+      throw new AdminError(405, `${req.method} not allowed on ${pathname}`);
+    }
+    throw new AdminError(404, `unknown endpoint ${pathname}`);
+  }
+
+  function handle(req, res) {
+    if (!tokenMatches(token, requestToken(req))) {
+      res.setHeader("WWW-Authenticate", 'Bearer realm="flexible-proxy admin"');
+      sendJson(res, 401, { error: "missing or invalid admin token" });
+      return;
+    }
+    const url = new URL(req.url, "http://admin");
+    dispatch(req, url).then(
+      ([status, data]) => sendJson(res, status, data),
+      (error) => {
+        const status = error instanceof AdminError ? error.status : 500;
+        if (status === 500) {
+          logger.error(`Admin API error: ${error.message}`);
+        }
+        if (status === 413) {
+          res.setHeader("Connection", "close");
+        }
+        sendJson(res, status, { error: error.message });
+      }
+    );
+  }
+
+  return {
+    start: () => {
+      server = http.createServer(handle);
+      server.on("error", (error) => {
+        logger.error(`Admin API error: ${error.message}`);
+      });
+      // Resolves with the address once listening
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.off("error", reject);
+          const address = server.address();
+          logger.info(`Admin API listening at http://${host}:${address.port}`);
+          if (!config.token) {
+            logger.info(`Admin API token: ${token}`);
+          }
+          resolve(address);
+        });
+      });
+    },
+    stop: () => {
+      if (server) {
+        server.close();
+        server = null;
+      }
+    },
+  };
+}
+
+module.exports = { createAdminServer };
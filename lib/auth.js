@@ -0,0 +1,476 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+// Per-route auth policies. A route takes one policy or a list, and a request
+// passes when any of them accepts it:
+//   { type: "basic", htpasswd: "users.htpasswd", users: { name: hash }, realm }
+//   { type: "apiKey", keys: ["key"] or { name: "key" }, header, query }
+//   { type: "jwt", secret, jwks: "jwks.json", algorithms, issuer, audience,
+//     clockTolerance, requireExp, claims, header, cookie }
+// Every policy can pass verified claims upstream with forwardClaims
+// ({ claim: "X-Header" }); basic and API key identities have a `sub` claim.
+// The header, cookie or query parameter that carried the accepted
+// credentials is not forwarded, unless the policy sets forwardCredentials.
+const AUTH_TYPES = ["basic", "apiKey", "jwt"];
+const JWT_ALGORITHMS = { HS256: "sha256", RS256: "RSA-SHA256" };
+
+// API keys taken out of the query string by takeQueryKeys, by parameter name
+const QUERY_KEYS = Symbol.for("__frp_query_keys__");
+
+// Verified basic credentials are remembered, since bcrypt is slow on purpose
+// and browsers send the credentials with every request
+const MAX_VERIFIED_CREDENTIALS = 1000;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+// Constant-time comparison of two strings of any length
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function readFile(file, what) {
+  try {
+    return fs.readFileSync(path.resolve(file), "utf8");
+  } catch (error) {
+    throw new Error(`cannot read ${what} ${file}: ${error.message}`);
+  }
+}
+
+function checkPasswordHash(user, hash) {
+  if (!/^\$2[aby]\$\d\d\$/.test(hash) && !hash.startsWith("{SHA}")) {
+    throw new Error(`unsupported password hash for "${user}" (use bcrypt or {SHA})`);
+  }
+}
+
+// "user:hash" lines; blank lines and # comments are skipped
+function parseHtpasswd(text, file) {
+  const users = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const colon = trimmed.indexOf(":");
+    if (colon <= 0) {
+      throw new Error(`invalid line in ${file}: expected user:hash`);
+    }
+    users.set(trimmed.slice(0, colon), trimmed.slice(colon + 1));
+  }
+  return users;
+}
+
+function compileBasic(policy) {
+  const users = policy.htpasswd
+    ? parseHtpasswd(readFile(policy.htpasswd, "htpasswd file"), policy.htpasswd)
+    : new Map();
+  if (policy.users !== undefined) {
+    if (!isObject(policy.users)) {
+      throw new Error("users must map user names to password hashes");
+    }
+    for (const [user, hash] of Object.entries(policy.users)) {
+      users.set(user, String(hash));
+    }
+  }
+  if (users.size === 0) {
+    throw new Error("basic auth needs an htpasswd file or users");
+  }
+  for (const [user, hash] of users) checkPasswordHash(user, hash);
+  const realm = policy.realm || "flexible-proxy";
+  return {
+    type: "basic",
+    users,
+    verified: new Set(),
+    challenge: `Basic realm="${realm.replace(/"/g, "")}", charset="UTF-8"`,
+  };
+}
+
+function compileApiKey(policy) {
+  const { keys, header = "x-api-key", query } = policy;
+  let entries;
+  if (Array.isArray(keys)) {
+    entries = keys.map((key, index) => [`key ${index + 1}`, key]);
+  } else if (isObject(keys)) {
+    entries = Object.entries(keys);
+  } else {
+    throw new Error("apiKey auth needs keys: a list, or an object of names to keys");
+  }
+  if (entries.length === 0 || entries.some(([, key]) => typeof key !== "string" || !key)) {
+    throw new Error("API keys must be non-empty strings");
+  }
+  return {
+    type: "apiKey",
+    keys: entries.map(([name, key]) => ({ name, key })),
+    header: header ? String(header).toLowerCase() : null,
+    query: query || null,
+    challenge: `ApiKey${header ? ` header="${header}"` : ""}`,
+  };
+}
+
+// Public keys by kid from a JWKS file ({ keys: [...] })
+function loadJwks(file) {
+  let jwks;
+  try {
+    jwks = JSON.parse(readFile(file, "JWKS file"));
+  } catch (error) {
+    throw new Error(error.message.startsWith("cannot read") ? error.message : `invalid JWKS file ${file}`);
+  }
+  if (!isObject(jwks) || !Array.isArray(jwks.keys)) {
+    throw new Error(`${file} is not a JWKS file (missing keys)`);
+  }
+  return jwks.keys
+    .filter((jwk) => jwk.kty === "RSA" && (!jwk.use || jwk.use === "sig"))
+    .map((jwk) => ({
+      kid: jwk.kid,
+      key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    }));
+}
+
+function toList(value) {
+  return value === undefined || value === null ? null : [].concat(value);
+}
+
+function compileJwt(policy) {
+  const {
+    secret,
+    jwks,
+    clockTolerance = 0,
+    requireExp = true,
+    claims = {},
+    header = "authorization",
+    cookie,
+  } = policy;
+  if (!secret && !jwks) {
+    throw new Error("jwt auth needs a secret (HS256) or a jwks file (RS256)");
+  }
+  const algorithms = toList(policy.algorithms) || [
+    ...(secret ? ["HS256"] : []),
+    ...(jwks ? ["RS256"] : []),
+  ];
+  for (const algorithm of algorithms) {
+    if (!JWT_ALGORITHMS[algorithm]) {
+      throw new Error(`unsupported JWT algorithm ${algorithm} (use HS256 or RS256)`);
+    }
+  }
+  if (!Number.isFinite(clockTolerance) || clockTolerance < 0) {
+    throw new Error("clockTolerance must be a non-negative number of seconds");
+  }
+  if (typeof requireExp !== "boolean") {
+    throw new Error("requireExp must be true or false");
+  }
+  if (!isObject(claims)) {
+    throw new Error("claims must map claim names to required values");
+  }
+  return {
+    type: "jwt",
+    secret: secret ? String(secret) : null,
+    keys: jwks ? loadJwks(jwks) : [],
+    algorithms,
+    issuer: toList(policy.issuer),
+    audience: toList(policy.audience),
+    clockTolerance,
+    requireExp,
+    claims,
+    header: header ? String(header).toLowerCase() : null,
+    cookie: cookie || null,
+    challenge: "Bearer",
+  };
+}
+
+const COMPILERS = { basic: compileBasic, apiKey: compileApiKey, jwt: compileJwt };
+
+function compilePolicy(policy, index) {
+  if (!isObject(policy)) {
+    throw new Error(`auth[${index}] must be an object`);
+  }
+  if (!AUTH_TYPES.includes(policy.type)) {
+    throw new Error(`auth[${index}].type must be one of ${AUTH_TYPES.join(", ")}`);
+  }
+  const { forwardClaims = {}, forwardCredentials = false } = policy;
+  if (!isObject(forwardClaims)) {
+    throw new Error(`auth[${index}].forwardClaims must map claims to header names`);
+  }
+  if (typeof forwardCredentials !== "boolean") {
+    throw new Error(`auth[${index}].forwardCredentials must be true or false`);
+  }
+  try {
+    return {
+      ...COMPILERS[policy.type](policy),
+      forwardCredentials,
+      forwardClaims: Object.entries(forwardClaims).map(([claim, name]) => ({
+        claim,
+        header: String(name).toLowerCase(),
+      })),
+    };
+  } catch (error) {
+    throw new Error(`auth[${index}]: ${error.message}`);
+  }
+}
+
+// Route `auth` is a policy, a list of policies, or false for none. Files are
+// read here, so a routes file reload picks up changed users and keys.
+function compileAuth(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === false) return null;
+  const policies = [].concat(value).map(compilePolicy);
+  if (policies.length === 0) return null;
+  return {
+    policies,
+    // Forwarded claim headers are always replaced, so clients cannot spoof them
+    headers: [...new Set(policies.flatMap((policy) => policy.forwardClaims.map((f) => f.header)))],
+    // Headers that carry credentials, to be redacted in logs
+    credentialHeaders: [
+      ...new Set(
+        policies.map((policy) => (policy.type === "basic" ? "authorization" : policy.header))
+      ),
+    ].filter(Boolean),
+  };
+}
+
+// Reasons are logged; only JWT rejections describe them to the client, in
+// the WWW-Authenticate header as RFC 6750 suggests
+function reject(status, reason, challenge) {
+  return { ok: false, status, reason, challenge };
+}
+
+// No credentials for this policy at all
+function missing(reason, challenge) {
+  return { ...reject(401, reason, challenge), missing: true };
+}
+
+function verifyPassword(password, hash) {
+  if (hash.startsWith("{SHA}")) {
+    const digest = crypto.createHash("sha1").update(password).digest("base64");
+    return Promise.resolve(safeEqual(`{SHA}${digest}`, hash));
+  }
+  return bcrypt.compare(password, hash);
+}
+
+async function checkBasic(policy, req) {
+  const match = /^basic\s+(\S+)$/i.exec(req.headers.authorization || "");
+  if (!match) return missing("missing credentials", policy.challenge);
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const colon = decoded.indexOf(":");
+  const user = colon === -1 ? decoded : decoded.slice(0, colon);
+  const password = colon === -1 ? "" : decoded.slice(colon + 1);
+  const hash = policy.users.get(user);
+  if (!hash) return reject(401, `unknown user "${user}"`, policy.challenge);
+
+  const cacheKey = sha256(`${user}\0${password}\0${hash}`).toString("hex");
+  if (!policy.verified.has(cacheKey)) {
+    if (!(await verifyPassword(password, hash))) {
+      return reject(401, `wrong password for "${user}"`, policy.challenge);
+    }
+    if (policy.verified.size >= MAX_VERIFIED_CREDENTIALS) policy.verified.clear();
+    policy.verified.add(cacheKey);
+  }
+  return { ok: true, user, claims: { sub: user }, credential: { header: "authorization" } };
+}
+
+function checkApiKey(policy, req) {
+  let given = policy.header ? req.headers[policy.header] : undefined;
+  let credential = { header: policy.header };
+  if (!given && policy.query && req[QUERY_KEYS]) {
+    given = req[QUERY_KEYS][policy.query];
+    credential = null; // already taken out of the URL
+  }
+  if (!given) return missing("missing API key", policy.challenge);
+  // Every key is compared, so timing does not reveal which one nearly matched
+  let found = null;
+  for (const entry of policy.keys) {
+    if (safeEqual(entry.key, given) && !found) found = entry;
+  }
+  if (!found) return reject(401, "unknown API key", policy.challenge);
+  return { ok: true, user: found.name, claims: { sub: found.name }, credential };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+// { token, credential } with where the token was found, or null
+function jwtFromRequest(policy, req) {
+  if (policy.header) {
+    const value = req.headers[policy.header] || "";
+    const credential = { header: policy.header };
+    const match = /^bearer\s+(\S+)$/i.exec(value);
+    if (match) return { token: match[1], credential };
+    if (policy.header !== "authorization" && value) return { token: value.trim(), credential };
+  }
+  if (policy.cookie && req.headers.cookie) {
+    for (const part of req.headers.cookie.split(";")) {
+      const [name, ...rest] = part.trim().split("=");
+      if (name === policy.cookie) return { token: rest.join("="), credential: { cookie: name } };
+    }
+  }
+  return null;
+}
+
+function verifySignature(policy, algorithm, kid, data, signature) {
+  if (algorithm === "HS256") {
+    if (!policy.secret) return false;
+    const expected = crypto.createHmac("sha256", policy.secret).update(data).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  const candidates = kid ? policy.keys.filter((entry) => entry.kid === kid) : policy.keys;
+  return candidates.some(({ key }) =>
+    crypto.verify(JWT_ALGORITHMS[algorithm], Buffer.from(data), key, signature)
+  );
+}
+
+// "a.b" reads nested claims, e.g. realm_access.roles
+function readClaim(claims, name) {
+  return name.split(".").reduce((value, key) => (isObject(value) ? value[key] : undefined), claims);
+}
+
+function claimMatches(actual, required) {
+  const wanted = [].concat(required);
+  const present = [].concat(actual === undefined ? [] : actual);
+  return wanted.some((value) => present.includes(value));
+}
+
+function checkJwt(policy, req) {
+  const invalid = (reason) =>
+    reject(401, reason, `Bearer error="invalid_token", error_description="${reason}"`);
+  const found = jwtFromRequest(policy, req);
+  if (!found) return missing("missing token", policy.challenge);
+
+  const parts = found.token.split(".");
+  let header;
+  let claims;
+  try {
+    if (parts.length !== 3) throw new Error();
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+    if (!isObject(header) || !isObject(claims)) throw new Error();
+  } catch (_) {
+    return invalid("malformed token");
+  }
+  if (!policy.algorithms.includes(header.alg)) {
+    return invalid(`algorithm ${String(header.alg).replace(/[^\w-]/g, "")} not allowed`);
+  }
+  const signature = Buffer.from(parts[2], "base64url");
+  if (!verifySignature(policy, header.alg, header.kid, `${parts[0]}.${parts[1]}`, signature)) {
+    return invalid("bad signature");
+  }
+
+  const now = Date.now() / 1000;
+  // A token without exp would be valid forever
+  if (typeof claims.exp !== "number" && policy.requireExp) {
+    return invalid("token has no expiry");
+  }
+  if (typeof claims.exp === "number" && now > claims.exp + policy.clockTolerance) {
+    return invalid("token expired");
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf - policy.clockTolerance) {
+    return invalid("token not yet valid");
+  }
+  if (policy.issuer && !policy.issuer.includes(claims.iss)) {
+    return invalid("issuer not accepted");
+  }
+  if (policy.audience && !claimMatches(claims.aud, policy.audience)) {
+    return invalid("audience not accepted");
+  }
+  for (const [name, required] of Object.entries(policy.claims)) {
+    if (!claimMatches(readClaim(claims, name), required)) {
+      return reject(403, `claim ${name} not allowed`, 'Bearer error="insufficient_scope"');
+    }
+  }
+  return {
+    ok: true,
+    user: claims.sub !== undefined ? String(claims.sub) : undefined,
+    claims,
+    credential: found.credential,
+  };
+}
+
+function decodeQueryComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch (_) {
+    return value;
+  }
+}
+
+// Takes the API key parameters of the route's policies out of req.url, so
+// they are neither logged nor forwarded, and keeps them for checkApiKey.
+// Parameters of policies with forwardCredentials stay in the URL. The rest
+// of the query is left exactly as the client sent it.
+function takeQueryKeys(auth, req) {
+  const policies = auth.policies.filter((policy) => policy.type === "apiKey" && policy.query);
+  const names = policies.map((policy) => policy.query);
+  const forwarded = policies
+    .filter((policy) => policy.forwardCredentials)
+    .map((policy) => policy.query);
+  const start = req.url.indexOf("?");
+  if (names.length === 0 || start === -1) return;
+  const taken = {};
+  const kept = [];
+  for (const part of req.url.slice(start + 1).split("&")) {
+    const separator = part.indexOf("=");
+    const name = decodeQueryComponent(separator === -1 ? part : part.slice(0, separator));
+    if (!names.includes(name) || forwarded.includes(name)) {
+      kept.push(part);
+    }
+    if (names.includes(name) && taken[name] === undefined) {
+      taken[name] = separator === -1 ? "" : decodeQueryComponent(part.slice(separator + 1));
+    }
+  }
+  if (Object.keys(taken).length === 0) return;
+  req[QUERY_KEYS] = taken;
+  req.url = req.url.slice(0, start) + (kept.length > 0 ? `?${kept.join("&")}` : "");
+}
+
+const CHECKS = { basic: checkBasic, apiKey: checkApiKey, jwt: checkJwt };
+
+function claimHeaderValue(value) {
+  if (Array.isArray(value)) return value.join(",");
+  if (isObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+// Resolves to { ok: true, user, headers, credential } for the first policy
+// that accepts the request, or the most telling rejection: a 403 from a
+// policy that recognised the caller, then a 401 about wrong credentials,
+// then one about missing credentials (challenging with every policy)
+async function authenticate(auth, req) {
+  const rejections = [];
+  for (const policy of auth.policies) {
+    const result = await CHECKS[policy.type](policy, req);
+    if (result.ok) {
+      const headers = {};
+      for (const { claim, header } of policy.forwardClaims) {
+        const value = readClaim(result.claims, claim);
+        if (value !== undefined && value !== null) headers[header] = claimHeaderValue(value);
+      }
+      return {
+        ok: true,
+        type: policy.type,
+        user: result.user,
+        headers,
+        // { header } or { cookie } not to forward, or null
+        credential: policy.forwardCredentials ? null : result.credential,
+      };
+    }
+    rejections.push(result);
+  }
+  const forbidden = rejections.find((result) => result.status === 403);
+  if (forbidden) return forbidden;
+  const wrong = rejections.filter((result) => !result.missing);
+  if (wrong.length > 0) {
+    return { ...wrong[0], reason: wrong.map((result) => result.reason).join(", ") };
+  }
+  const unique = (field) => [...new Set(rejections.map((result) => result[field]))];
+  return { ...rejections[0], reason: unique("reason").join(", "), challenge: unique("challenge") };
+}
+
+module.exports = {
+  compileAuth,
+  authenticate,
+  takeQueryKeys,
+};
@@ -0,0 +1,388 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const crypto = require("crypto");
+
+// Statuses a shared cache may store by default (RFC 9110 heuristically cacheable)
+const CACHEABLE_STATUS = [200, 203, 204, 300, 301, 404, 410];
+
+const HOP_BY_HOP_HEADERS = [
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+];
+
+// Accepts a number of bytes or a string such as "512kb", "50mb", "1gb"
+function parseSize(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === "number") return value;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`invalid size: ${value}`);
+  }
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || "b").toLowerCase()]);
+}
+
+function parseCacheControl(header) {
+  const directives = {};
+  if (!header) return directives;
+  for (const part of String(header).split(",")) {
+    const [name, ...rest] = part.trim().split("=");
+    if (!name) continue;
+    directives[name.toLowerCase()] = rest.length
+      ? rest.join("=").replace(/^"|"$/g, "")
+      : true;
+  }
+  return directives;
+}
+
+function stripHopByHopHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+// Freshness lifetime in ms from the response headers; a route `ttl` (seconds)
+// overrides them. Returns null when the response says nothing about freshness.
+function freshnessLifetime(headers, ttl) {
+  if (ttl !== undefined && ttl !== null) {
+    return ttl * 1000;
+  }
+  const cc = parseCacheControl(headers["cache-control"]);
+  if (cc["no-cache"]) return 0;
+  if (cc["s-maxage"] !== undefined) return Number(cc["s-maxage"]) * 1000 || 0;
+  if (cc["max-age"] !== undefined) return Number(cc["max-age"]) * 1000 || 0;
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = headers.date ? Date.parse(headers.date) : Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(0, expires - date);
+  }
+  return null;
+}
+
+function varyHeaderNames(headers) {
+  if (!headers.vary) return [];
+  return String(headers.vary)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function varyValues(names, req) {
+  const values = {};
+  for (const name of names) {
+    const value = req.headers[name];
+    values[name] = Array.isArray(value) ? value.join(", ") : value || "";
+  }
+  return values;
+}
+
+function variantMatches(entry, req) {
+  const current = varyValues(entry.vary, req);
+  return entry.vary.every((name) => current[name] === entry.varyValues[name]);
+}
+
+// Bytes an entry takes up: its body and headers, which may not be ASCII
+function entrySize(entry) {
+  return entry.body.length + Buffer.byteLength(JSON.stringify(entry.headers));
+}
+
+class ResponseCache {
+  constructor(config = {}) {
+    this.maxSize = parseSize(config.maxSize, 50 * 1024 ** 2);
+    this.maxEntrySize = parseSize(config.maxEntrySize, 5 * 1024 ** 2);
+    this.dir = config.dir ? path.resolve(config.dir) : null;
+    this.maxDiskSize = parseSize(config.maxDiskSize, 500 * 1024 ** 2);
+    this.entries = new Map(); // primary key -> variants, in LRU order
+    this.size = 0;
+    this.diskIndex = new Map(); // file -> { size, mtime }
+    this.diskSize = 0;
+    this.stats = { hits: 0, misses: 0, stale: 0 };
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      for (const file of fs.readdirSync(this.dir)) {
+        if (!file.endsWith(".json")) continue;
+        const stat = fs.statSync(path.join(this.dir, file));
+        this.diskIndex.set(file, { size: stat.size, mtime: stat.mtimeMs });
+        this.diskSize += stat.size;
+      }
+    }
+  }
+
+  // GET and HEAD share entries; the Host header keeps virtual hosts apart
+  primaryKey(req, url = req.url) {
+    return `${(req.headers.host || "").toLowerCase()}${url}`;
+  }
+
+  isStorable(req, status, headers) {
+    if (!CACHEABLE_STATUS.includes(status)) return false;
+    const cc = parseCacheControl(headers["cache-control"]);
+    if (cc["no-store"] || cc.private) return false;
+    if (headers["set-cookie"]) return false;
+    if (req.headers.authorization && !cc.public && cc["s-maxage"] === undefined) {
+      return false;
+    }
+    if (headers.vary && String(headers.vary).trim() === "*") return false;
+    return true;
+  }
+
+  // Whether a stored entry may be served without asking the upstream
+  isFresh(entry, req) {
+    const requestCc = parseCacheControl(req.headers["cache-control"]);
+    if (requestCc["no-cache"] || requestCc["max-age"] === "0") return false;
+    if (String(req.headers.pragma || "").includes("no-cache")) return false;
+    return this.ageOf(entry) * 1000 < entry.lifetime;
+  }
+
+  canRevalidate(entry) {
+    return !!(entry.headers.etag || entry.headers["last-modified"]);
+  }
+
+  ageOf(entry) {
+    return entry.initialAge + Math.floor((Date.now() - entry.storedAt) / 1000);
+  }
+
+  async lookup(key, req) {
+    let variants = this.entries.get(key);
+    if (variants) {
+      // Refresh LRU position
+      this.entries.delete(key);
+      this.entries.set(key, variants);
+    } else if (this.dir) {
+      variants = await this.readFromDisk(key);
+      if (variants) {
+        this.remember(key, variants);
+      }
+    }
+    if (!variants) return null;
+    return variants.find((entry) => variantMatches(entry, req)) || null;
+  }
+
+  // Store a complete upstream response; `ttl` is the route override in seconds
+  store(key, req, status, headers, body, ttl) {
+    if (body.length > this.maxEntrySize) return null;
+    let lifetime = freshnessLifetime(headers, ttl);
+    if (lifetime === null) {
+      // Nothing explicit: only worth keeping if it can be revalidated
+      if (!headers.etag && !headers["last-modified"]) return null;
+      lifetime = 0;
+    }
+
+    const stored = stripHopByHopHeaders(headers);
+    // Per-response headers; the proxy sets them again when serving the entry
+    delete stored["x-cache"];
+    delete stored["x-request-id"];
+    const vary = varyHeaderNames(headers);
+    const entry = {
+      status,
+      headers: stored,
+      body,
+      vary,
+      varyValues: varyValues(vary, req),
+      storedAt: Date.now(),
+      initialAge: Number(headers.age) || 0,
+      lifetime,
+      ttl,
+      size: 0,
+    };
+    entry.size = entrySize(entry);
+
+    const variants = (this.entries.get(key) || []).filter(
+      (existing) => !variantMatches(existing, req)
+    );
+    variants.push(entry);
+    this.remember(key, variants);
+    this.writeToDisk(key, variants);
+    return entry;
+  }
+
+  // Apply a 304 Not Modified to a stored entry
+  refresh(key, entry, headers) {
+    const updates = stripHopByHopHeaders(headers);
+    delete updates["content-length"];
+    delete updates["x-request-id"];
+    Object.assign(entry.headers, updates);
+    entry.storedAt = Date.now();
+    entry.initialAge = Number(headers.age) || 0;
+    const lifetime = freshnessLifetime(entry.headers, entry.ttl);
+    entry.lifetime = lifetime === null ? 0 : lifetime;
+    const variants = this.entries.get(key);
+    if (variants && variants.includes(entry)) {
+      const previousSize = entry.size;
+      entry.size = entrySize(entry);
+      this.size += entry.size - previousSize;
+    }
+    if (variants) {
+      this.writeToDisk(key, variants);
+    }
+  }
+
+  delete(key) {
+    const variants = this.entries.get(key);
+    if (variants) {
+      this.size -= variants.reduce((sum, entry) => sum + entry.size, 0);
+      this.entries.delete(key);
+    }
+    if (this.dir) {
+      this.removeFromDisk(this.fileFor(key));
+    }
+  }
+
+  remember(key, variants) {
+    const previous = this.entries.get(key);
+    if (previous) {
+      this.size -= previous.reduce((sum, entry) => sum + entry.size, 0);
+      this.entries.delete(key);
+    }
+    this.entries.set(key, variants);
+    this.size += variants.reduce((sum, entry) => sum + entry.size, 0);
+    // Evict least recently used keys
+    for (const oldest of this.entries.keys()) {
+      if (this.size <= this.maxSize) break;
+      this.size -= this.entries
+        .get(oldest)
+        .reduce((sum, entry) => sum + entry.size, 0);
+      this.entries.delete(oldest);
+    }
+  }
+
+  fileFor(key) {
+    return crypto.createHash("sha256").update(key).digest("hex") + ".json";
+  }
+
+  async readFromDisk(key) {
+    const file = this.fileFor(key);
+    if (!this.diskIndex.has(file)) return null;
+    try {
+      const data = JSON.parse(
+        await fs.promises.readFile(path.join(this.dir, file), "utf8")
+      );
+      if (data.key !== key) return null;
+      return data.variants.map((entry) => ({
+        ...entry,
+        body: Buffer.from(entry.body, "base64"),
+      }));
+    } catch (_) {
+      this.removeFromDisk(file);
+      return null;
+    }
+  }
+
+  writeToDisk(key, variants) {
+    if (!this.dir) return;
+    const file = this.fileFor(key);
+    const data = Buffer.from(
+      JSON.stringify({
+        key,
+        variants: variants.map((entry) => ({
+          ...entry,
+          body: entry.body.toString("base64"),
+        })),
+      })
+    );
+    fs.promises
+      .writeFile(path.join(this.dir, file), data)
+      .then(() => {
+        const previous = this.diskIndex.get(file);
+        if (previous) this.diskSize -= previous.size;
+        this.diskIndex.delete(file);
+        this.diskIndex.set(file, { size: data.length, mtime: Date.now() });
+        this.diskSize += data.length;
+        this.evictFromDisk();
+      })
+      .catch(() => {});
+  }
+
+  evictFromDisk() {
+    if (this.diskSize <= this.maxDiskSize) return;
+    const byAge = [...this.diskIndex.entries()].sort(
+      (a, b) => a[1].mtime - b[1].mtime
+    );
+    for (const [file] of byAge) {
+      if (this.diskSize <= this.maxDiskSize) break;
+      this.removeFromDisk(file);
+    }
+  }
+
+  removeFromDisk(file) {
+    const indexed = this.diskIndex.get(file);
+    if (!indexed) return;
+    this.diskIndex.delete(file);
+    this.diskSize -= indexed.size;
+    fs.promises.unlink(path.join(this.dir, file)).catch(() => {});
+  }
+
+  record(status) {
+    if (status === "HIT") this.stats.hits++;
+    else if (status === "STALE") this.stats.stale++;
+    else this.stats.misses++;
+  }
+
+  getStats() {
+    const total = this.stats.hits + this.stats.misses + this.stats.stale;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      size: this.size,
+      diskSize: this.diskSize,
+      hitRatio: total ? (this.stats.hits + this.stats.stale) / total : 0,
+    };
+  }
+}
+
+// Whether the client's own conditional headers match a stored entry
+function isNotModified(req, entry) {
+  if (entry.status !== 200) return false;
+  const etag = entry.headers.etag;
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return (
+      !!etag &&
+      ifNoneMatch.split(",").some((tag) => tag.trim() === etag || tag.trim() === "*")
+    );
+  }
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+  const lastModified = Date.parse(entry.headers["last-modified"]);
+  return (
+    !Number.isNaN(ifModifiedSince) &&
+    !Number.isNaN(lastModified) &&
+    lastModified <= ifModifiedSince
+  );
+}
+
+// Write a stored entry to the client, answering its own conditional headers
+function serveFromCache(req, res, cache, entry, status) {
+  const headers = {
+    ...entry.headers,
+    age: String(cache.ageOf(entry)),
+    "x-cache": status,
+  };
+  if (isNotModified(req, entry)) {
+    delete headers["content-length"];
+    res.writeHead(304, "Not Modified", headers);
+    res.end();
+    return;
+  }
+  headers["content-length"] = String(entry.body.length);
+  res.writeHead(entry.status, http.STATUS_CODES[entry.status], headers);
+  res.end(req.method === "HEAD" ? undefined : entry.body);
+}
+
+module.exports = {
+  ResponseCache,
+  serveFromCache,
+  stripHopByHopHeaders,
+  parseCacheControl,
+  parseSize,
+};
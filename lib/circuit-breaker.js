@@ -0,0 +1,208 @@
+const { statusMatches } = require("./health-checker");
+
+// Per-upstream circuit breaker, set globally (`circuitBreaker`) and per route:
+//   window               rolling window for the error rate, in ms
+//   minRequests          requests in the window before the error rate counts
+//   errorRate            share of failed requests that opens the circuit
+//   consecutiveFailures  failures in a row that open the circuit
+//   openDuration         ms to fail fast before letting trial requests through
+//   halfOpenRequests     trial requests while half-open; all must succeed
+//   failureStatus        upstream statuses that count as failures
+// Connection errors and timeouts always count as failures.
+const DEFAULTS = {
+  window: 30_000,
+  minRequests: 10,
+  errorRate: 0.5,
+  consecutiveFailures: 5,
+  openDuration: 30_000,
+  halfOpenRequests: 1,
+  failureStatus: [502, 503, 504],
+};
+
+// The window is counted in this many buckets
+const BUCKETS = 10;
+
+function checkNumber(config, name, { integer = false, max = Infinity } = {}) {
+  const value = config[name];
+  if (
+    typeof value !== "number" ||
+    !(value > 0) ||
+    value > max ||
+    (integer && !Number.isInteger(value))
+  ) {
+    throw new Error(
+      `circuitBreaker.${name} must be a positive ${integer ? "integer" : "number"}${
+        max !== Infinity ? ` up to ${max}` : ""
+      }`
+    );
+  }
+}
+
+// A route setting (undefined, false, true or an object) merged over the
+// global one. Null when the route has no breaker.
+function resolveCircuitBreaker(value, globalValue) {
+  const setting = value === undefined ? globalValue : value;
+  if (!setting) return null;
+  if (setting !== true && (typeof setting !== "object" || Array.isArray(setting))) {
+    throw new Error("circuitBreaker must be true, false or an object");
+  }
+  const config = {
+    ...DEFAULTS,
+    ...(globalValue && typeof globalValue === "object" ? globalValue : {}),
+    ...(typeof setting === "object" ? setting : {}),
+  };
+  checkNumber(config, "window");
+  checkNumber(config, "minRequests", { integer: true });
+  checkNumber(config, "errorRate", { max: 1 });
+  checkNumber(config, "consecutiveFailures", { integer: true });
+  checkNumber(config, "openDuration");
+  checkNumber(config, "halfOpenRequests", { integer: true });
+  config.failureStatus = [].concat(config.failureStatus);
+  return config;
+}
+
+// closed: requests flow and outcomes are counted
+// open: requests fail fast until openDuration has passed
+// half-open: up to halfOpenRequests trial requests decide whether to close
+class CircuitBreaker {
+  // onChange(state, reason, previous) is called on every transition
+  constructor(config, onChange = null) {
+    this.config = config;
+    this.onChange = onChange;
+    this.state = "closed";
+    this.buckets = []; // { start, requests, failures }, oldest first
+    this.consecutiveFailures = 0;
+    this.openUntil = null;
+    this.trials = 0; // trial requests in flight while half-open
+    this.trialSuccesses = 0;
+    this.lastFailure = null;
+  }
+
+  // Whether a request may be sent now. An open circuit turns half-open
+  // once its openDuration is over.
+  isAllowed() {
+    if (this.state === "open" && Date.now() >= this.openUntil) {
+      this.transition("half-open", "open duration elapsed");
+    }
+    if (this.state === "half-open") {
+      return this.trials < this.config.halfOpenRequests;
+    }
+    return this.state === "closed";
+  }
+
+  // Called when a request allowed by isAllowed() is sent
+  admit() {
+    if (this.state === "half-open") this.trials++;
+  }
+
+  // `result` is { status } for a response, { error } for a failed request,
+  // or null when the client went away before the upstream answered
+  record(result) {
+    if (this.state === "open") return;
+    const failure = this.describeFailure(result);
+    if (this.state === "half-open") {
+      this.trials = Math.max(0, this.trials - 1);
+      if (failure) {
+        this.open(`trial request failed: ${failure}`);
+      } else if (result && ++this.trialSuccesses >= this.config.halfOpenRequests) {
+        this.transition("closed", `${this.trialSuccesses} trial requests succeeded`);
+      }
+      return;
+    }
+    if (!result) return;
+    const bucket = this.currentBucket();
+    bucket.requests++;
+    if (!failure) {
+      this.consecutiveFailures = 0;
+      return;
+    }
+    bucket.failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = failure;
+    if (this.consecutiveFailures >= this.config.consecutiveFailures) {
+      this.open(`${this.consecutiveFailures} consecutive failures, last: ${failure}`);
+      return;
+    }
+    const { requests, failures } = this.totals();
+    if (requests >= this.config.minRequests && failures / requests >= this.config.errorRate) {
+      this.open(
+        `${failures} of ${requests} requests failed in ${this.config.window / 1000}s, last: ${failure}`
+      );
+    }
+  }
+
+  describeFailure(result) {
+    if (!result) return null;
+    if (result.error) return result.error.code || result.error.message || "error";
+    return statusMatches(this.config.failureStatus, result.status)
+      ? `status ${result.status}`
+      : null;
+  }
+
+  currentBucket() {
+    const now = Date.now();
+    const size = this.config.window / BUCKETS;
+    const start = now - (now % size);
+    while (this.buckets.length > 0 && this.buckets[0].start <= now - this.config.window) {
+      this.buckets.shift();
+    }
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, failures: 0 };
+      this.buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+  totals() {
+    const since = Date.now() - this.config.window;
+    let requests = 0;
+    let failures = 0;
+    for (const bucket of this.buckets) {
+      if (bucket.start <= since) continue;
+      requests += bucket.requests;
+      failures += bucket.failures;
+    }
+    return { requests, failures };
+  }
+
+  open(reason) {
+    this.openUntil = Date.now() + this.config.openDuration;
+    this.transition("open", reason);
+  }
+
+  transition(state, reason) {
+    const previous = this.state;
+    this.state = state;
+    this.trials = 0;
+    this.trialSuccesses = 0;
+    if (state === "closed") {
+      this.buckets = [];
+      this.consecutiveFailures = 0;
+      this.openUntil = null;
+    }
+    if (this.onChange) this.onChange(state, reason, previous);
+  }
+
+  // Seconds a rejected client should wait before trying again
+  retryAfter() {
+    return this.state === "open"
+      ? Math.max(1, Math.ceil((this.openUntil - Date.now()) / 1000))
+      : 1;
+  }
+
+  snapshot() {
+    const { requests, failures } = this.totals();
+    return {
+      state: this.state,
+      requests,
+      failures,
+      consecutiveFailures: this.consecutiveFailures,
+      openUntil:
+        this.state === "open" ? new Date(this.openUntil).toISOString() : null,
+      lastFailure: this.lastFailure,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, resolveCircuitBreaker };
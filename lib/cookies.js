@@ -0,0 +1,109 @@
+// Rewrites the Set-Cookie headers of upstream responses, so cookies set for
+// the upstream's domain and paths are kept by the browser on the proxy:
+//   cookieDomainRewrite  "" drops Domain (a host-only cookie for the proxy),
+//                        "example.test" replaces it, or an object maps upstream
+//                        domains (or "*") to replacements
+//   cookiePathRewrite    the same for Path, e.g. { "/api": "/" }
+//   stripSecureCookies   on plain-HTTP requests, drop Secure and SameSite=None,
+//                        which browsers refuse without HTTPS
+
+// false/null disables a rewrite, a string applies to every cookie
+function normalizeCookieRewrite(value, name) {
+  if (value === undefined) return undefined;
+  if (value === null || value === false) return null;
+  if (typeof value === "string") return { "*": value };
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${name} must be a string, an object or false`);
+  }
+  const map = {};
+  for (const [from, to] of Object.entries(value)) {
+    if (typeof to !== "string") {
+      throw new Error(`${name}["${from}"] must be a string`);
+    }
+    map[from] = to;
+  }
+  return map;
+}
+
+// Route settings override the global ones; null when nothing is rewritten
+function compileCookieRewrite(route, defaults) {
+  const pick = (name) => (route[name] !== undefined ? route[name] : defaults[name]);
+  const domain = pick("cookieDomainRewrite");
+  const paths = pick("cookiePathRewrite");
+  const stripSecure = !!pick("stripSecureCookies");
+  if (!domain && !paths && !stripSecure) return null;
+  const domains = {};
+  for (const [from, to] of Object.entries(domain || {})) {
+    domains[from === "*" ? from : from.toLowerCase().replace(/^\./, "")] = to;
+  }
+  return { domains: domain ? domains : null, paths: paths || null, stripSecure };
+}
+
+function lookup(map, key) {
+  if (!map) return undefined;
+  return map[key] !== undefined ? map[key] : map["*"];
+}
+
+// Rewritten header, plus what changed (names and attributes only, never the
+// cookie value) for logging
+function rewriteSetCookie(header, rewrite, plainHttp) {
+  const [pair, ...attributes] = String(header).split(";");
+  const name = pair.split("=")[0].trim();
+  const changes = [];
+  const kept = [];
+  for (const attribute of attributes) {
+    const trimmed = attribute.trim();
+    const separator = trimmed.indexOf("=");
+    const key = (separator === -1 ? trimmed : trimmed.slice(0, separator)).toLowerCase();
+    const value = separator === -1 ? "" : trimmed.slice(separator + 1).trim();
+
+    let replacement;
+    if (key === "domain") {
+      replacement = lookup(rewrite.domains, value.toLowerCase().replace(/^\./, ""));
+    } else if (key === "path") {
+      replacement = lookup(rewrite.paths, value);
+    }
+    if (replacement !== undefined && replacement !== value) {
+      const label = key === "domain" ? "Domain" : "Path";
+      changes.push(`${label} ${value} → ${replacement || "(removed)"}`);
+      if (replacement) kept.push(`${label}=${replacement}`);
+      continue;
+    }
+    if (rewrite.stripSecure && plainHttp) {
+      if (key === "secure") {
+        changes.push("Secure removed");
+        continue;
+      }
+      if (key === "samesite" && value.toLowerCase() === "none") {
+        changes.push("SameSite=None removed");
+        continue;
+      }
+    }
+    kept.push(trimmed);
+  }
+  if (changes.length === 0) {
+    return { header, name, changes };
+  }
+  return { header: [pair.trim(), ...kept].join("; "), name, changes };
+}
+
+// Rewrites headers["set-cookie"] in place. Returns the cookies that changed.
+function rewriteCookies(headers, rewrite, plainHttp) {
+  const setCookie = headers["set-cookie"];
+  if (!rewrite || !setCookie) return [];
+  const rewritten = [];
+  headers["set-cookie"] = [].concat(setCookie).map((header) => {
+    const result = rewriteSetCookie(header, rewrite, plainHttp);
+    if (result.changes.length > 0) {
+      rewritten.push({ name: result.name, changes: result.changes });
+    }
+    return result.header;
+  });
+  return rewritten;
+}
+
+module.exports = {
+  normalizeCookieRewrite,
+  compileCookieRewrite,
+  rewriteCookies,
+};
@@ -0,0 +1,169 @@
+// CORS handling modes:
+//   "proxy"        - the proxy answers preflights and sets CORS headers (default)
+//   "pass-through" - CORS is left entirely to the upstream, OPTIONS included
+//   "off"          - no CORS headers at all; upstream ones are stripped too
+// Without an `origins` allow-list any origin may call, but only with
+// `Access-Control-Allow-Origin: *` and never with credentials
+const DEFAULT_POLICY = {
+  origins: null,
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  exposedHeaders: [],
+  credentials: undefined, // on when `origins` lists the allowed origins
+  maxAge: 86400,
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Origins can be exact ("http://localhost:3000"), wildcards
+// ("https://*.example.com", "http://localhost:*"), regex strings ("/^https://.*$/")
+// or RegExp objects when configured programmatically
+function compileOriginMatcher(entry) {
+  if (entry instanceof RegExp) {
+    return (origin) => entry.test(origin);
+  }
+  const text = String(entry);
+  if (text === "*") {
+    return () => true;
+  }
+  const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(text);
+  if (regexLiteral) {
+    const regex = new RegExp(regexLiteral[1], regexLiteral[2]);
+    return (origin) => regex.test(origin);
+  }
+  if (text.includes("*")) {
+    const regex = new RegExp(
+      "^" + text.split("*").map(escapeRegex).join("[^/]*") + "$",
+      "i"
+    );
+    return (origin) => regex.test(origin);
+  }
+  const exact = text.toLowerCase().replace(/\/+$/, "");
+  return (origin) => origin.toLowerCase() === exact;
+}
+
+function toList(value, name) {
+  if (value === undefined || value === null) return value;
+  if (typeof value === "string") {
+    return value.split(",").map((item) => item.trim()).filter(Boolean);
+  }
+  if (Array.isArray(value)) return value;
+  throw new Error(`cors.${name} must be a list`);
+}
+
+function modeOf(config) {
+  if (config === undefined || config === null || config === true) return "proxy";
+  if (config === false || config === "off") return "off";
+  if (config === "pass-through") return "pass-through";
+  if (typeof config === "object" && !Array.isArray(config)) {
+    return config.mode || "proxy";
+  }
+  throw new Error(`invalid cors setting: ${JSON.stringify(config)}`);
+}
+
+// Compile a CORS setting; `base` is the global setting a route inherits from
+function compileCorsPolicy(config, base = undefined) {
+  const mode = modeOf(config);
+  if (!["proxy", "off", "pass-through"].includes(mode)) {
+    throw new Error(`unknown cors mode "${mode}" (expected proxy, off or pass-through)`);
+  }
+  if (mode !== "proxy") {
+    return { mode };
+  }
+
+  // Route-level objects refine the global policy instead of replacing it
+  const inherited =
+    base && typeof base === "object" && !Array.isArray(base) ? base : {};
+  const options = {
+    ...DEFAULT_POLICY,
+    ...inherited,
+    ...(typeof config === "object" && config ? config : {}),
+  };
+  const origins = toList(options.origins, "origins");
+  const allowedHeaders = toList(options.allowedHeaders, "allowedHeaders");
+  const exposedHeaders = toList(options.exposedHeaders, "exposedHeaders");
+  const methods = toList(options.methods, "methods");
+  // Reflecting every origin with credentials would let any site make
+  // authenticated calls, so "*" is sent as is and without credentials
+  const anyOrigin = !origins || origins.includes("*");
+  if (anyOrigin && options.credentials) {
+    throw new Error('cors.credentials needs an origins allow-list without "*"');
+  }
+  const matchers = anyOrigin ? [] : origins.map(compileOriginMatcher);
+
+  return {
+    mode,
+    anyOrigin,
+    isOriginAllowed: (origin) => anyOrigin || matchers.some((matches) => matches(origin)),
+    methods: methods.map((method) => String(method).toUpperCase()).join(", "),
+    allowedHeaders: (allowedHeaders || []).join(", "),
+    exposedHeaders: exposedHeaders.join(", "),
+    credentials: !anyOrigin && options.credentials !== false,
+    maxAge: options.maxAge,
+  };
+}
+
+function isPreflight(req) {
+  return (
+    req.method === "OPTIONS" &&
+    !!req.headers.origin &&
+    !!req.headers["access-control-request-method"]
+  );
+}
+
+// Set CORS response headers for a request under a "proxy" mode policy.
+// Returns false when the request's origin is not allowed.
+function applyCorsHeaders(policy, req, res) {
+  const origin = req.headers.origin;
+  res.setHeader("Vary", "Origin");
+  if (!policy.isOriginAllowed(origin)) {
+    return false;
+  }
+
+  res.setHeader("Access-Control-Allow-Origin", policy.anyOrigin ? "*" : origin);
+  if (policy.credentials) {
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+  if (policy.exposedHeaders) {
+    res.setHeader("Access-Control-Expose-Headers", policy.exposedHeaders);
+  }
+  if (isPreflight(req)) {
+    res.setHeader("Access-Control-Allow-Methods", policy.methods);
+    if (policy.allowedHeaders) {
+      res.setHeader("Access-Control-Allow-Headers", policy.allowedHeaders);
+    }
+    if (policy.maxAge !== undefined && policy.maxAge !== null) {
+      res.setHeader("Access-Control-Max-Age", String(policy.maxAge));
+    }
+  }
+  return true;
+}
+
+// Drop the upstream's own CORS headers when the proxy is in charge of CORS,
+// and keep its Vary values alongside ours
+function filterUpstreamCorsHeaders(policy, headers) {
+  if (policy.mode === "pass-through") return;
+  for (const name of Object.keys(headers)) {
+    if (name.toLowerCase().startsWith("access-control-")) {
+      delete headers[name];
+    }
+  }
+  if (policy.mode === "proxy" && headers.vary) {
+    const values = new Set(
+      `Origin, ${headers.vary}`
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean)
+    );
+    headers.vary = [...values].join(", ");
+  }
+}
+
+module.exports = {
+  compileCorsPolicy,
+  applyCorsHeaders,
+  filterUpstreamCorsHeaders,
+  isPreflight,
+};
@@ -0,0 +1,218 @@
+const { parseSize } = require("./cache");
+
+// Per-route fault rules. Each rule fires for `percent` of requests and can
+// combine several faults:
+//   latency / jitter  delay the request by latency ± jitter milliseconds
+//   status / body     answer with this status instead of the upstream
+//   reset             drop the client connection
+//   throttle          send the response at this many bytes per second ("64kb")
+//   truncate          cut the response off after this many bytes
+const ACTIONS = ["latency", "status", "reset", "throttle", "truncate"];
+
+// Throttled responses are sent in slices this many milliseconds apart
+const THROTTLE_TICK = 100;
+
+function normalizeFaultRule(rule, index) {
+  const where = `faults[${index}]`;
+  if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const {
+    percent = 100,
+    enabled = true,
+    latency = 0,
+    jitter = 0,
+    status,
+    body,
+    reset,
+  } = rule;
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw new Error(`${where}.percent must be between 0 and 100`);
+  }
+  if (typeof enabled !== "boolean") {
+    throw new Error(`${where}.enabled must be true or false`);
+  }
+  if (!ACTIONS.some((action) => rule[action] !== undefined)) {
+    throw new Error(`${where} needs one of ${ACTIONS.join(", ")}`);
+  }
+  if (!Number.isFinite(latency) || latency < 0 || !Number.isFinite(jitter) || jitter < 0) {
+    throw new Error(`${where}.latency and jitter must be non-negative milliseconds`);
+  }
+  if (status !== undefined && (!Number.isInteger(status) || status < 100 || status > 599)) {
+    throw new Error(`${where}.status must be an HTTP status code`);
+  }
+  if (body !== undefined && typeof body !== "string") {
+    throw new Error(`${where}.body must be a string`);
+  }
+  if (reset !== undefined && typeof reset !== "boolean") {
+    throw new Error(`${where}.reset must be true or false`);
+  }
+  const throttle = rule.throttle === undefined ? null : parseSize(rule.throttle);
+  if (throttle !== null && throttle <= 0) {
+    throw new Error(`${where}.throttle must be a positive number of bytes per second`);
+  }
+  const truncate = rule.truncate === undefined ? null : parseSize(rule.truncate);
+  return {
+    percent,
+    enabled,
+    latency,
+    jitter,
+    status: status === undefined ? null : status,
+    body,
+    reset: !!reset,
+    throttle,
+    truncate,
+  };
+}
+
+function normalizeFaults(value) {
+  if (value === undefined || value === null) return [];
+  return [].concat(value).map(normalizeFaultRule);
+}
+
+// Faults to inject into one request, or null when no rule fires
+function pickFaults(rules) {
+  let plan = null;
+  for (const rule of rules) {
+    if (!rule.enabled || Math.random() * 100 >= rule.percent) continue;
+    plan = plan || {
+      latency: 0,
+      status: null,
+      body: undefined,
+      reset: false,
+      throttle: null,
+      truncate: null,
+    };
+    const jitter = rule.jitter ? (Math.random() * 2 - 1) * rule.jitter : 0;
+    plan.latency += Math.max(0, Math.round(rule.latency + jitter));
+    if (plan.status === null && rule.status !== null) {
+      plan.status = rule.status;
+      plan.body = rule.body;
+    }
+    plan.reset = plan.reset || rule.reset;
+    // The strictest throttle and the shortest truncation win
+    if (rule.throttle !== null) {
+      plan.throttle = Math.min(plan.throttle === null ? Infinity : plan.throttle, rule.throttle);
+    }
+    if (rule.truncate !== null) {
+      plan.truncate = Math.min(plan.truncate === null ? Infinity : plan.truncate, rule.truncate);
+    }
+  }
+  return plan;
+}
+
+// Short labels for logs and metrics, e.g. ["latency 480ms", "status 503"]
+function describeFaults(plan) {
+  const parts = [];
+  if (plan.latency > 0) parts.push(`latency ${plan.latency}ms`);
+  if (plan.reset) parts.push("reset");
+  else if (plan.status !== null) parts.push(`status ${plan.status}`);
+  if (plan.throttle !== null) parts.push(`throttle ${plan.throttle}B/s`);
+  if (plan.truncate !== null) parts.push(`truncate ${plan.truncate}B`);
+  return parts;
+}
+
+// Sends the response body at `throttle` bytes per second and/or cuts it off
+// after `truncate` bytes by wrapping res.write/res.end. Writes report
+// backpressure while data is held back, so piped upstream responses slow down.
+function shapeResponse(res, { throttle, truncate }) {
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+  const pending = [];
+  let written = 0;
+  let timer = null;
+  let ending = false;
+  let cut = false;
+  let needDrain = false;
+  const sliceSize =
+    throttle === null ? Infinity : Math.max(1, Math.floor((throttle * THROTTLE_TICK) / 1000));
+
+  function pump() {
+    timer = null;
+    let budget = sliceSize;
+    while (pending.length > 0 && budget > 0) {
+      let chunk = pending.shift();
+      if (chunk.length > budget) {
+        pending.unshift(chunk.subarray(budget));
+        chunk = chunk.subarray(0, budget);
+      }
+      budget -= chunk.length;
+      if (truncate !== null && written + chunk.length >= truncate) {
+        originalWrite.call(res, chunk.subarray(0, truncate - written));
+        cut = true;
+        pending.length = 0;
+        // Close after what was written so far, leaving the body incomplete
+        if (res.socket) res.socket.end();
+        return;
+      }
+      written += chunk.length;
+      originalWrite.call(res, chunk);
+    }
+    if (pending.length > 0) {
+      timer = setTimeout(pump, THROTTLE_TICK);
+      return;
+    }
+    if (ending) {
+      originalEnd.call(res);
+      return;
+    }
+    if (needDrain) {
+      needDrain = false;
+      res.emit("drain");
+    }
+  }
+
+  function enqueue(chunk, encoding) {
+    if (cut || !chunk || typeof chunk === "function") return;
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    if (buffer.length > 0) pending.push(buffer);
+  }
+
+  res.write = function (chunk, encoding) {
+    enqueue(chunk, typeof encoding === "string" ? encoding : undefined);
+    if (!timer) pump();
+    needDrain = pending.length > 0;
+    return !needDrain;
+  };
+  res.end = function (chunk, encoding) {
+    enqueue(chunk, typeof encoding === "string" ? encoding : undefined);
+    if (cut || ending) return this;
+    ending = true;
+    if (!timer) pump();
+    return this;
+  };
+  res.once("close", () => clearTimeout(timer));
+}
+
+// Applies a fault plan, then calls `proceed` unless the fault answers the
+// request itself
+function injectFaults(req, res, plan, proceed) {
+  const act = () => {
+    if (plan.reset) {
+      req.socket.destroy();
+      return;
+    }
+    if (plan.throttle !== null || plan.truncate !== null) {
+      shapeResponse(res, plan);
+    }
+    if (plan.status !== null) {
+      res.writeHead(plan.status, { "Content-Type": "text/plain" });
+      res.end(plan.body !== undefined ? plan.body : `Injected fault: ${plan.status}`);
+      return;
+    }
+    proceed();
+  };
+  if (plan.latency > 0) {
+    const timer = setTimeout(act, plan.latency);
+    res.once("close", () => clearTimeout(timer));
+    return;
+  }
+  act();
+}
+
+module.exports = {
+  normalizeFaults,
+  pickFaults,
+  describeFaults,
+  injectFaults,
+};
@@ -0,0 +1,235 @@
+const net = require("net");
+const { parseSize } = require("./cache");
+
+// Access rules and request limits. Set globally with the `guards` option:
+//   ipAllow / ipDeny   addresses or CIDR ranges ("10.0.0.0/8", "::1")
+//   trustedProxies     proxies whose X-Forwarded-For names the real client
+//   maxBodySize        larger request bodies get 413 ("10mb")
+//   maxHeaderSize      larger request headers get 431 ("16kb")
+//   maxHeaderCount     more request headers get 431
+//   maxUrlLength       longer URLs get 414
+//   methods            allowed methods on routes without their own (405)
+// Routes can add their own ipAllow / ipDeny and override maxBodySize.
+
+// The client's address, after trusted proxies, read by rate limits and logs
+const CLIENT_IP = Symbol.for("__frp_client_ip__");
+
+function normalizeAddress(address) {
+  const value = String(address || "").trim();
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  return value.toLowerCase().startsWith("::ffff:") && net.isIPv4(value.slice(7))
+    ? value.slice(7)
+    : value;
+}
+
+// Null for an empty or missing list
+function compileAddressList(list, name) {
+  if (list === undefined || list === null) return null;
+  const entries = [].concat(list);
+  if (entries.length === 0) return null;
+  const blockList = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = String(entry).trim().split("/");
+    const version = net.isIP(address);
+    if (!version) {
+      throw new Error(`${name}: "${entry}" is not an IP address or CIDR range`);
+    }
+    const type = version === 6 ? "ipv6" : "ipv4";
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+      continue;
+    }
+    const bits = Number(prefix);
+    if (!Number.isInteger(bits) || bits < 0 || bits > (version === 6 ? 128 : 32)) {
+      throw new Error(`${name}: "${entry}" has an invalid prefix length`);
+    }
+    blockList.addSubnet(address, bits, type);
+  }
+  return blockList;
+}
+
+function listIncludes(list, address) {
+  const version = net.isIP(address);
+  return version !== 0 && list.check(address, version === 6 ? "ipv6" : "ipv4");
+}
+
+function parseLimit(value, name) {
+  if (value === undefined || value === null || value === false) return null;
+  const limit = parseSize(value);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    throw new Error(`${name} must be a positive size`);
+  }
+  return limit;
+}
+
+// A list of methods, or a comma-separated string of them ("GET,HEAD");
+// null when not set
+function normalizeMethods(value, name = "methods") {
+  if (value === undefined || value === null || value === false || value === "") return null;
+  const methods =
+    typeof value === "string" ? value.split(",").map((method) => method.trim()) : value;
+  if (!Array.isArray(methods)) {
+    throw new Error(`${name} must be a list of HTTP methods`);
+  }
+  return methods.map((method) => {
+    if (typeof method !== "string" || !/^[A-Za-z]+$/.test(method)) {
+      throw new Error(`${name}: ${JSON.stringify(method)} is not an HTTP method`);
+    }
+    return method.toUpperCase();
+  });
+}
+
+function compileGuards(config = {}) {
+  return {
+    ipAllow: compileAddressList(config.ipAllow, "ipAllow"),
+    ipDeny: compileAddressList(config.ipDeny, "ipDeny"),
+    trustedProxies: compileAddressList(config.trustedProxies, "trustedProxies"),
+    maxBodySize: parseLimit(config.maxBodySize, "maxBodySize"),
+    maxHeaderSize: parseLimit(config.maxHeaderSize, "maxHeaderSize"),
+    maxHeaderCount: parseLimit(config.maxHeaderCount, "maxHeaderCount"),
+    maxUrlLength: parseLimit(config.maxUrlLength, "maxUrlLength"),
+    methods: normalizeMethods(config.methods),
+  };
+}
+
+// The guard options a route may set; maxBodySize stays undefined when the
+// global limit applies
+function compileRouteGuards(options) {
+  return {
+    ipAllow: compileAddressList(options.ipAllow, "ipAllow"),
+    ipDeny: compileAddressList(options.ipDeny, "ipDeny"),
+    maxBodySize:
+      options.maxBodySize === undefined
+        ? undefined
+        : parseLimit(options.maxBodySize, "maxBodySize"),
+  };
+}
+
+// Walks X-Forwarded-For from the nearest hop while the hops are trusted
+// proxies. Without trusted proxies the socket address is the client.
+function resolveClientIp(req, trustedProxies) {
+  let client = normalizeAddress(req.socket.remoteAddress);
+  if (!trustedProxies || !listIncludes(trustedProxies, client)) return client;
+  const hops = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map(normalizeAddress)
+    .filter(Boolean);
+  for (let i = hops.length - 1; i >= 0; i--) {
+    // A forged or garbled entry ends the walk at the last hop we trust
+    if (!net.isIP(hops[i])) break;
+    client = hops[i];
+    if (!listIncludes(trustedProxies, client)) break;
+  }
+  return client;
+}
+
+function checkAddress(address, allow, deny) {
+  if (deny && listIncludes(deny, address)) return `${address} is denied`;
+  if (allow && !listIncludes(allow, address)) return `${address} is not allowed`;
+  return null;
+}
+
+function headerSize(req) {
+  let size = 0;
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    size += req.rawHeaders[i].length + req.rawHeaders[i + 1].length + 4;
+  }
+  return size;
+}
+
+function bodyLimit(guards, route) {
+  return route && route.guards.maxBodySize !== undefined
+    ? route.guards.maxBodySize
+    : guards.maxBodySize;
+}
+
+// A { status, code, reason } rejection, or null when the request may pass.
+// Bodies sent without a Content-Length are checked by readLimitedBody.
+function checkRequest(req, guards, route) {
+  const client = req[CLIENT_IP];
+  const denied =
+    checkAddress(client, guards.ipAllow, guards.ipDeny) ||
+    (route ? checkAddress(client, route.guards.ipAllow, route.guards.ipDeny) : null);
+  if (denied) {
+    return { status: 403, code: "ip_denied", reason: denied };
+  }
+  if (guards.maxUrlLength && req.url.length > guards.maxUrlLength) {
+    return {
+      status: 414,
+      code: "url_too_long",
+      reason: `URL of ${req.url.length} characters, limit ${guards.maxUrlLength}`,
+    };
+  }
+  const headerCount = req.rawHeaders.length / 2;
+  if (guards.maxHeaderCount && headerCount > guards.maxHeaderCount) {
+    return {
+      status: 431,
+      code: "too_many_headers",
+      reason: `${headerCount} headers, limit ${guards.maxHeaderCount}`,
+    };
+  }
+  if (guards.maxHeaderSize && headerSize(req) > guards.maxHeaderSize) {
+    return {
+      status: 431,
+      code: "headers_too_large",
+      reason: `${headerSize(req)} bytes of headers, limit ${guards.maxHeaderSize}`,
+    };
+  }
+  const maxBodySize = bodyLimit(guards, route);
+  const length = Number(req.headers["content-length"]);
+  if (maxBodySize && length > maxBodySize) {
+    return {
+      status: 413,
+      code: "body_too_large",
+      reason: `body of ${length} bytes, limit ${maxBodySize}`,
+    };
+  }
+  return null;
+}
+
+function hasBody(req) {
+  return Number(req.headers["content-length"]) > 0 || req.headers["transfer-encoding"] !== undefined;
+}
+
+// Chunked bodies have no Content-Length to check up front
+function hasUnknownLength(req) {
+  return req.headers["content-length"] === undefined && req.headers["transfer-encoding"] !== undefined;
+}
+
+// Reads a body of unknown length, rejecting with a 413 error once it grows
+// past `limit`. The rest of an oversized body is drained.
+function readLimitedBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      if (size > limit) return;
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error(`body over ${limit} bytes`);
+        error.status = 413;
+        error.code = "body_too_large";
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size <= limit) resolve(Buffer.concat(chunks));
+    });
+    req.on("error", reject);
+  });
+}
+
+module.exports = {
+  CLIENT_IP,
+  compileGuards,
+  compileRouteGuards,
+  normalizeMethods,
+  resolveClientIp,
+  checkRequest,
+  bodyLimit,
+  hasBody,
+  hasUnknownLength,
+  readLimitedBody,
+};
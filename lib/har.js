@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const { version } = require("../package.json");
+const { stripHopByHopHeaders } = require("./cache");
+const { redactHeaders, DEFAULT_REDACTED_HEADERS } = require("./structured-log");
+
+// Larger bodies are recorded without their content
+const MAX_RECORDED_BODY = 10 * 1024 * 1024;
+
+// A recording is written as this head, the entries one per line, and the
+// tail. New entries are written over the tail, followed by a new one.
+const HAR_HEAD = `{"log":{"version":"1.2","creator":${JSON.stringify({
+  name: "flexible-reverse-proxy",
+  version,
+})},"entries":[\n`;
+const HAR_TAIL = "\n]}}\n";
+
+// Redacted header values are not played back
+const REDACTED = "[REDACTED]";
+
+// Bodies of these types are stored as text, everything else as base64
+const TEXT_TYPES = /^text\/|[/+](json|xml|javascript|x-www-form-urlencoded)\b/i;
+
+function isText(mimeType, contentEncoding) {
+  const encoded = contentEncoding && contentEncoding !== "identity";
+  return !encoded && TEXT_TYPES.test(mimeType || "");
+}
+
+function toNameValueList(headers) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      list.push({ name, value: String(item) });
+    }
+  }
+  return list;
+}
+
+function fromNameValueList(list) {
+  const headers = {};
+  for (const { name, value } of list || []) {
+    const key = name.toLowerCase();
+    if (headers[key] === undefined) {
+      headers[key] = value;
+    } else {
+      headers[key] = [].concat(headers[key], value);
+    }
+  }
+  return headers;
+}
+
+// HAR `content`/`postData` fields for a captured body
+function encodeBody(chunks, size, mimeType, contentEncoding) {
+  if (size > MAX_RECORDED_BODY) {
+    return { comment: "body too large to record" };
+  }
+  const body = Buffer.concat(chunks);
+  if (isText(mimeType, contentEncoding)) {
+    return { text: body.toString("utf8") };
+  }
+  return size > 0 ? { text: body.toString("base64"), encoding: "base64" } : {};
+}
+
+function decodeBody(content) {
+  if (!content || typeof content.text !== "string") return Buffer.alloc(0);
+  return Buffer.from(content.text, content.encoding === "base64" ? "base64" : "utf8");
+}
+
+// Collects the chunks of a stream-like body, up to MAX_RECORDED_BODY
+function createBodyCollector() {
+  const collector = { chunks: [], size: 0 };
+  collector.add = (chunk, encoding) => {
+    if (!chunk || typeof chunk === "function") return;
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    collector.size += buffer.length;
+    if (collector.size <= MAX_RECORDED_BODY) collector.chunks.push(buffer);
+  };
+  return collector;
+}
+
+// "METHOD /path?query", the key recorded and incoming requests are matched on
+function requestKey(method, url) {
+  const { pathname, search } = new URL(url, "http://replay");
+  return `${method.toUpperCase()} ${pathname}${search}`;
+}
+
+function readHar(file) {
+  const har = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`${file} is not a HAR file (missing log.entries)`);
+  }
+  return har;
+}
+
+// Records every proxied request and the response the client received as
+// HAR 1.2. Entries are appended to an existing file. Values of the `redact`
+// headers (the log's redaction list) are never written.
+class HarRecorder {
+  constructor(file, { logger, redact = DEFAULT_REDACTED_HEADERS } = {}) {
+    this.file = path.resolve(file);
+    this.logger = logger;
+    this.redact = redact;
+    this.pending = []; // entries not written yet, as JSON
+    this.timer = null;
+    this.writing = Promise.resolve();
+    // The entries already in the file are written back once in the layout
+    // above; after that only new entries are kept in memory until written
+    const entries = fs.existsSync(this.file) ? readHar(this.file).log.entries : [];
+    const head = HAR_HEAD + entries.map((entry) => JSON.stringify(entry)).join(",\n");
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, head + HAR_TAIL);
+    fs.renameSync(tmpFile, this.file);
+    this.count = entries.length;
+    this.tailAt = Buffer.byteLength(head);
+  }
+
+  // Call before the request is forwarded; the entry is added once the
+  // response has been sent. `url` is the URL the client asked for, `body`
+  // the request body when it was already read (e.g. rewritten by a plugin).
+  record(req, res, { url, requestId, upstream, body }) {
+    const startedAt = Date.now();
+    const scheme = req.socket.encrypted ? "https" : "http";
+    const requestHeaders = redactHeaders(req.headers, this.redact);
+    const requestBody = createBodyCollector();
+    const responseBody = createBodyCollector();
+    if (body) {
+      requestBody.add(body);
+    } else {
+      req.on("data", (chunk) => requestBody.add(chunk));
+    }
+
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    res.write = function (chunk, encoding) {
+      responseBody.add(chunk, encoding);
+      return originalWrite.apply(this, arguments);
+    };
+    res.end = function (chunk, encoding) {
+      responseBody.add(chunk, encoding);
+      return originalEnd.apply(this, arguments);
+    };
+
+    res.once("finish", () => {
+      const time = Date.now() - startedAt;
+      const absoluteUrl = new URL(url, `${scheme}://${requestHeaders.host || "localhost"}`);
+      const requestType = requestHeaders["content-type"] || "";
+      const responseHeaders = redactHeaders(res.getHeaders(), this.redact);
+      const responseType = String(responseHeaders["content-type"] || "");
+      const entry = {
+        startedDateTime: new Date(startedAt).toISOString(),
+        time,
+        request: {
+          method: req.method,
+          url: absoluteUrl.href,
+          httpVersion: `HTTP/${req.httpVersion}`,
+          cookies: [],
+          headers: toNameValueList(requestHeaders),
+          queryString: [...absoluteUrl.searchParams].map(([name, value]) => ({ name, value })),
+          headersSize: -1,
+          bodySize: requestBody.size,
+        },
+        response: {
+          status: res.statusCode,
+          statusText: res.statusMessage || "",
+          httpVersion: `HTTP/${req.httpVersion}`,
+          cookies: [],
+          headers: toNameValueList(responseHeaders),
+          content: {
+            size: responseBody.size,
+            mimeType: responseType,
+            ...encodeBody(
+              responseBody.chunks,
+              responseBody.size,
+              responseType,
+              responseHeaders["content-encoding"]
+            ),
+          },
+          redirectURL: String(responseHeaders.location || ""),
+          headersSize: -1,
+          bodySize: responseBody.size,
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        _requestId: requestId,
+        _upstream: upstream,
+      };
+      if (requestBody.size > 0) {
+        const postData = encodeBody(
+          requestBody.chunks,
+          requestBody.size,
+          requestType,
+          requestHeaders["content-encoding"]
+        );
+        entry.request.postData = {
+          mimeType: requestType,
+          text: postData.text || "",
+          ...(postData.encoding ? { _encoding: postData.encoding } : {}),
+          ...(postData.comment ? { comment: postData.comment } : {}),
+        };
+      }
+      this.pending.push(JSON.stringify(entry));
+      this.scheduleWrite();
+    });
+  }
+
+  // Batches writes: a page load records many entries at once
+  scheduleWrite() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.write(), 500);
+    this.timer.unref();
+  }
+
+  // Appends the pending entries; resolves once they are in the file
+  write() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending.length === 0) return this.writing;
+    const text = (this.count > 0 ? ",\n" : "") + this.pending.join(",\n");
+    const data = Buffer.from(text + HAR_TAIL);
+    const position = this.tailAt;
+    this.count += this.pending.length;
+    this.tailAt += data.length - HAR_TAIL.length;
+    this.pending = [];
+    // Writes go one after the other, each over the tail the last one left
+    this.writing = this.writing
+      .then(async () => {
+        const handle = await fs.promises.open(this.file, "r+");
+        try {
+          await handle.write(data, 0, data.length, position);
+        } finally {
+          await handle.close();
+        }
+      })
+      .catch((error) => {
+        if (this.logger) {
+          this.logger.error(`Failed to write recording ${this.file}: ${error.message}`);
+        }
+      });
+    return this.writing;
+  }
+
+  // Resolves once every recorded entry is written
+  stop() {
+    return this.write();
+  }
+}
+
+// Answers requests from a HAR recording. Requests match on method, path and
+// query; when a request was recorded several times the responses are played
+// back in order, repeating the last one.
+class HarReplayer {
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.recordings = new Map(); // request key -> { entries, next }
+    for (const entry of readHar(this.file).log.entries) {
+      if (!entry.request || !entry.response) continue;
+      const key = requestKey(entry.request.method, entry.request.url);
+      const recording = this.recordings.get(key) || { entries: [], next: 0 };
+      recording.entries.push(entry);
+      this.recordings.set(key, recording);
+    }
+  }
+
+  get size() {
+    let count = 0;
+    for (const recording of this.recordings.values()) count += recording.entries.length;
+    return count;
+  }
+
+  match(req) {
+    const recording = this.recordings.get(requestKey(req.method, req.url));
+    if (!recording) return null;
+    const entry = recording.entries[Math.min(recording.next, recording.entries.length - 1)];
+    recording.next++;
+    return entry;
+  }
+
+  serve(req, res, entry) {
+    const { response } = entry;
+    const body = decodeBody(response.content);
+    const headers = stripHopByHopHeaders(
+      fromNameValueList((response.headers || []).filter(({ value }) => value !== REDACTED))
+    );
+    // Headers that belong to the live exchange, not the recorded one
+    delete headers["x-request-id"];
+    delete headers["x-cache"];
+    delete headers["content-length"];
+    if (req.method !== "HEAD" && response.status !== 204 && response.status !== 304) {
+      headers["content-length"] = String(body.length);
+    }
+    headers["x-replay"] = "HIT";
+    res.writeHead(response.status, response.statusText || undefined, headers);
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+}
+
+module.exports = {
+  HarRecorder,
+  HarReplayer,
+  TEXT_TYPES,
+};
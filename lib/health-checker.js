@@ -0,0 +1,290 @@
+const http = require("http");
+const https = require("https");
+
+// Connection-level errors that count towards passive ejection
+const PASSIVE_FAILURE_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+];
+
+const DEFAULTS = {
+  path: null, // active probing is off unless a path is configured
+  interval: 10_000,
+  timeout: 2_000,
+  expectedStatus: "2xx",
+  unhealthyThreshold: 3,
+  cooldown: 30_000,
+};
+
+// Settings that must be positive whole numbers (milliseconds or a count)
+const POSITIVE_INTEGERS = ["interval", "timeout", "unhealthyThreshold", "cooldown"];
+
+function validateConfig(config) {
+  for (const name of POSITIVE_INTEGERS) {
+    if (!Number.isInteger(config[name]) || config[name] <= 0) {
+      throw new Error(`healthCheck.${name} must be a positive integer, got ${config[name]}`);
+    }
+  }
+  return config;
+}
+
+function statusMatches(expected, status) {
+  const list = Array.isArray(expected) ? expected : [expected];
+  return list.some((entry) => {
+    if (typeof entry === "number") return entry === status;
+    const text = String(entry).toLowerCase();
+    if (/^[1-5]xx$/.test(text)) return Math.floor(status / 100) === +text[0];
+    return Number(text) === status;
+  });
+}
+
+class HealthChecker {
+  constructor(config = {}) {
+    this.logger = config.logger;
+    // (url, pool) -> agent used for probes, so they share the proxy's TLS setup
+    this.agentFor = config.agentFor || null;
+    this.defaults = validateConfig({ ...DEFAULTS, ...(config.defaults || {}) });
+    this.states = new Map(); // url -> health state
+    this.probes = new Map(); // url -> { timer, config, agent }
+  }
+
+  // Merge a route-level healthCheck block over the global defaults.
+  // `false` disables active probing for that route. Throws on invalid values.
+  resolveConfig(routeConfig) {
+    if (routeConfig === false) {
+      return { ...this.defaults, path: null };
+    }
+    return validateConfig({ ...this.defaults, ...(routeConfig || {}) });
+  }
+
+  // url -> settings for the targets of the given pools. A target has one
+  // health state, so routes that set their own healthCheck for a shared
+  // target must agree; routes without one use theirs. Throws otherwise.
+  resolveTargets(pools) {
+    const configs = new Map();
+    const own = pools.filter((pool) => pool.healthCheck !== undefined);
+    const inherited = pools.filter((pool) => pool.healthCheck === undefined);
+    for (const pool of [...own, ...inherited]) {
+      const config = this.resolveConfig(pool.healthCheck);
+      for (const target of pool.targets) {
+        const known = configs.get(target.url);
+        if (!known) {
+          configs.set(target.url, { config, pool });
+        } else if (
+          pool.healthCheck !== undefined &&
+          JSON.stringify(known.config) !== JSON.stringify(config)
+        ) {
+          throw new Error(
+            `routes set different health checks for ${target.url}; give them the same healthCheck`
+          );
+        }
+      }
+    }
+    return configs;
+  }
+
+  getState(url) {
+    let state = this.states.get(url);
+    if (!state) {
+      state = {
+        healthy: true,
+        consecutiveFailures: 0,
+        ejectedUntil: null,
+        lastError: null,
+        lastCheck: null,
+        config: this.defaults,
+        agent: false,
+      };
+      this.states.set(url, state);
+    }
+    return state;
+  }
+
+  // Start probes for every target of the given pools and stop the rest.
+  // Throws before changing anything when the pools' settings are invalid.
+  sync(pools) {
+    const targets = this.resolveTargets(pools);
+    const wanted = new Map();
+    for (const [url, { config, pool }] of targets) {
+      const state = this.getState(url);
+      state.config = config;
+      state.agent = this.agentFor ? this.agentFor(url, pool) : false;
+      if (config.path) {
+        wanted.set(url, config);
+      }
+    }
+
+    for (const [url, probe] of this.probes) {
+      const config = wanted.get(url);
+      if (
+        !config ||
+        JSON.stringify(config) !== JSON.stringify(probe.config) ||
+        this.states.get(url).agent !== probe.agent
+      ) {
+        clearInterval(probe.timer);
+        this.probes.delete(url);
+      }
+    }
+    for (const [url, config] of wanted) {
+      if (!this.probes.has(url)) {
+        const timer = setInterval(() => this.probe(url, config), config.interval);
+        timer.unref();
+        this.probes.set(url, { timer, config, agent: this.states.get(url).agent });
+        this.probe(url, config);
+      }
+    }
+    // Forget targets that no route refers to any more
+    for (const url of this.states.keys()) {
+      if (!targets.has(url)) {
+        this.states.delete(url);
+      }
+    }
+  }
+
+  probe(url, config) {
+    let probeUrl;
+    try {
+      probeUrl = new URL(config.path, url);
+    } catch (error) {
+      this.recordProbe(url, false, error.message);
+      return;
+    }
+    const client = probeUrl.protocol === "https:" ? https : http;
+    const state = this.states.get(url);
+    let settled = false;
+    const done = (ok, reason) => {
+      if (settled) return;
+      settled = true;
+      this.recordProbe(url, ok, reason);
+    };
+
+    const req = client.request(
+      probeUrl,
+      {
+        method: "GET",
+        timeout: config.timeout,
+        agent: state ? state.agent : false,
+        headers: { "User-Agent": "flexible-reverse-proxy/health-check" },
+      },
+      (res) => {
+        res.resume();
+        if (statusMatches(config.expectedStatus, res.statusCode)) {
+          done(true);
+        } else {
+          done(false, `health check returned ${res.statusCode}`);
+        }
+      }
+    );
+    req.on("timeout", () => {
+      req.destroy(new Error(`health check timed out after ${config.timeout}ms`));
+    });
+    req.on("error", (error) => done(false, error.code || error.message));
+    req.end();
+  }
+
+  recordProbe(url, ok, reason) {
+    const state = this.states.get(url);
+    if (!state) return;
+    state.lastCheck = Date.now();
+    if (ok) {
+      this.markHealthy(url, state, "health check passed");
+      return;
+    }
+    state.lastError = reason;
+    state.consecutiveFailures++;
+    if (state.healthy && state.consecutiveFailures >= state.config.unhealthyThreshold) {
+      this.markUnhealthy(url, state, reason, null);
+    }
+  }
+
+  // Passive checks: fed from the proxy's own responses and errors
+  recordSuccess(url) {
+    const state = this.states.get(url);
+    if (!state) return;
+    if (state.healthy) {
+      state.consecutiveFailures = 0;
+    } else if (!state.config.path) {
+      // Without active probes, real traffic is what proves recovery
+      this.markHealthy(url, state, "request succeeded");
+    }
+  }
+
+  recordFailure(url, error) {
+    if (!error || !PASSIVE_FAILURE_CODES.includes(error.code)) return;
+    const state = this.states.get(url);
+    if (!state) return;
+    state.lastError = error.code;
+    state.consecutiveFailures++;
+    if (state.healthy && state.consecutiveFailures >= state.config.unhealthyThreshold) {
+      this.markUnhealthy(
+        url,
+        state,
+        `${state.consecutiveFailures} consecutive ${error.code} errors`,
+        Date.now() + state.config.cooldown
+      );
+    }
+  }
+
+  isAvailable(url) {
+    const state = this.states.get(url);
+    if (!state || state.healthy) return true;
+    // Passively ejected targets are re-admitted once the cool-down is over,
+    // unless an active probe is in charge of bringing them back
+    if (
+      state.ejectedUntil &&
+      Date.now() >= state.ejectedUntil &&
+      !state.config.path
+    ) {
+      this.markHealthy(url, state, "cool-down elapsed");
+      return true;
+    }
+    return false;
+  }
+
+  markHealthy(url, state, reason) {
+    const wasHealthy = state.healthy;
+    state.healthy = true;
+    state.consecutiveFailures = 0;
+    state.ejectedUntil = null;
+    state.lastError = null;
+    if (!wasHealthy && this.logger) {
+      this.logger.logUpstreamHealth(url, true, reason);
+    }
+  }
+
+  markUnhealthy(url, state, reason, ejectedUntil) {
+    state.healthy = false;
+    state.ejectedUntil = ejectedUntil;
+    if (this.logger) {
+      this.logger.logUpstreamHealth(url, false, reason, ejectedUntil);
+    }
+  }
+
+  snapshot() {
+    const result = {};
+    for (const [url, state] of this.states) {
+      result[url] = {
+        healthy: state.healthy,
+        consecutiveFailures: state.consecutiveFailures,
+        ejectedUntil: state.ejectedUntil
+          ? new Date(state.ejectedUntil).toISOString()
+          : null,
+        lastError: state.lastError,
+        lastCheck: state.lastCheck ? new Date(state.lastCheck).toISOString() : null,
+        activeChecks: this.probes.has(url),
+      };
+    }
+    return result;
+  }
+
+  stop() {
+    for (const probe of this.probes.values()) {
+      clearInterval(probe.timer);
+    }
+    this.probes.clear();
+  }
+}
+
+module.exports = { HealthChecker, PASSIVE_FAILURE_CODES, statusMatches };
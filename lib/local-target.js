@@ -0,0 +1,235 @@
+const fs = require("fs");
+const path = require("path");
+
+// Route targets answered by the proxy itself instead of an upstream:
+//   { status, headers, body | file, delay }  a mock response
+//   "file:///srv/app" or "file://./dist"     static files from a directory
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".pdf": "application/pdf",
+  ".wasm": "application/wasm",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+};
+
+function mimeType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+}
+
+// Upstream entries are { url, weight }; any other object describes a mock
+function isMockTarget(target) {
+  return (
+    target !== null &&
+    typeof target === "object" &&
+    !Array.isArray(target) &&
+    target.url === undefined
+  );
+}
+
+function isStaticTarget(target) {
+  return typeof target === "string" && target.startsWith("file://");
+}
+
+// "file:///srv/app" is absolute, "file://./dist" relative to the working directory
+function staticRoot(target) {
+  const location = decodeURIComponent(target.slice("file://".length));
+  if (!location) {
+    throw new Error(`static target ${target} has no directory`);
+  }
+  return path.resolve(location);
+}
+
+function normalizeMock(mock) {
+  const { status = 200, headers = {}, body, file, delay = 0 } = mock;
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw new Error("mock status must be an HTTP status code");
+  }
+  if (headers === null || typeof headers !== "object" || Array.isArray(headers)) {
+    throw new Error("mock headers must be an object of header names to values");
+  }
+  if (body !== undefined && file !== undefined) {
+    throw new Error("a mock has either a body or a file, not both");
+  }
+  if (file !== undefined && typeof file !== "string") {
+    throw new Error("mock file must be a path");
+  }
+  if (!Number.isFinite(delay) || delay < 0) {
+    throw new Error("mock delay must be a non-negative number of milliseconds");
+  }
+  return {
+    type: "mock",
+    label: "mock",
+    status,
+    headers,
+    body,
+    file: file !== undefined ? path.resolve(file) : undefined,
+    delay,
+  };
+}
+
+// Local target description for a route, or null when it proxies to upstreams
+function normalizeLocalTarget(target, options = {}) {
+  if (isMockTarget(target)) {
+    return normalizeMock(target);
+  }
+  if (isStaticTarget(target)) {
+    const root = staticRoot(target);
+    return {
+      type: "static",
+      label: `file://${root}`,
+      root,
+      index: options.index === undefined ? "index.html" : options.index,
+      spa: !!options.spa,
+    };
+  }
+  return null;
+}
+
+function sendText(res, status, message, headers = {}) {
+  res.writeHead(status, { ...headers, "Content-Type": "text/plain" });
+  res.end(message);
+}
+
+function serveMock(req, res, mock, extraHeaders) {
+  let body = mock.body;
+  const headers = { ...extraHeaders, ...mock.headers };
+  const hasType = Object.keys(headers).some((name) => name.toLowerCase() === "content-type");
+  if (mock.file) {
+    // Read on every request so fixture edits show up without a restart
+    try {
+      body = fs.readFileSync(mock.file);
+    } catch (error) {
+      sendText(res, 500, `Mock file unreadable: ${error.message}`);
+      return;
+    }
+    if (!hasType) headers["Content-Type"] = mimeType(mock.file);
+  } else if (body !== undefined && typeof body !== "string") {
+    body = JSON.stringify(body);
+    if (!hasType) headers["Content-Type"] = "application/json";
+  } else if (body !== undefined && !hasType) {
+    headers["Content-Type"] = "text/plain; charset=utf-8";
+  }
+  const payload = body === undefined ? Buffer.alloc(0) : Buffer.from(body);
+  headers["Content-Length"] = payload.length;
+  res.writeHead(mock.status, headers);
+  res.end(req.method === "HEAD" ? undefined : payload);
+}
+
+// Path of `pathname` inside `root`, or null when it would escape it
+function resolveInside(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (_) {
+    return null;
+  }
+  if (decoded.includes("\0")) return null;
+  const file = path.resolve(root, `.${path.posix.normalize(`/${decoded}`)}`);
+  return file === root || file.startsWith(root + path.sep) ? file : null;
+}
+
+function statFile(file) {
+  try {
+    return fs.statSync(file);
+  } catch (_) {
+    return null;
+  }
+}
+
+// The file for a request path: directories fall back to their index file,
+// and with `spa` unknown extension-less paths fall back to the root index
+function findStaticFile(site, pathname) {
+  const file = resolveInside(site.root, pathname);
+  if (!file) return null;
+  let stats = statFile(file);
+  if (stats && stats.isDirectory() && site.index) {
+    const indexFile = path.join(file, site.index);
+    const indexStats = statFile(indexFile);
+    if (indexStats && indexStats.isFile()) return { file: indexFile, stats: indexStats };
+    stats = null;
+  }
+  if (stats && stats.isFile()) return { file, stats };
+  if (site.spa && site.index && !path.extname(pathname)) {
+    const indexFile = path.join(site.root, site.index);
+    const indexStats = statFile(indexFile);
+    if (indexStats && indexStats.isFile()) return { file: indexFile, stats: indexStats };
+  }
+  return null;
+}
+
+function serveStatic(req, res, site, url, extraHeaders) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    sendText(res, 405, "Method not allowed", { ...extraHeaders, Allow: "GET, HEAD" });
+    return;
+  }
+  const found = findStaticFile(site, url.split("?")[0]);
+  if (!found) {
+    sendText(res, 404, "Not found", extraHeaders);
+    return;
+  }
+  const { file, stats } = found;
+  const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  const headers = {
+    ...extraHeaders,
+    "Content-Type": mimeType(file),
+    "Last-Modified": stats.mtime.toUTCString(),
+    ETag: etag,
+    // Always revalidate: files change while developing
+    "Cache-Control": "no-cache",
+  };
+  if (req.headers["if-none-match"] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  headers["Content-Length"] = stats.size;
+  res.writeHead(200, headers);
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+  const stream = fs.createReadStream(file);
+  stream.on("error", () => res.destroy());
+  stream.pipe(res);
+}
+
+// Answers a request for a route with a local target. `url` is the request
+// path after the route's pathRewrite.
+function serveLocalTarget(req, res, local, url, extraHeaders = {}) {
+  if (local.type === "static") {
+    serveStatic(req, res, local, url, extraHeaders);
+    return;
+  }
+  if (local.delay > 0) {
+    const timer = setTimeout(() => serveMock(req, res, local, extraHeaders), local.delay);
+    res.once("close", () => clearTimeout(timer));
+    return;
+  }
+  serveMock(req, res, local, extraHeaders);
+}
+
+module.exports = {
+  normalizeLocalTarget,
+  serveLocalTarget,
+};
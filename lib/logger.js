@@ -1,5 +1,25 @@
 const chalk = require("chalk");
-const winston = require("winston");
+const {
+  createStructuredLogger,
+  redactHeaders,
+  DEFAULT_REDACTED_HEADERS,
+} = require("./structured-log");
+
+// Certificate verification failures reported by Node's TLS stack
+const TLS_CERT_HINTS = {
+  DEPTH_ZERO_SELF_SIGNED_CERT:
+    "certificate is self-signed; trust it with upstreamTls.ca or set verify: false",
+  SELF_SIGNED_CERT_IN_CHAIN:
+    "certificate chain uses an untrusted root; trust it with upstreamTls.ca",
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE:
+    "certificate issuer is unknown; trust it with upstreamTls.ca",
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY:
+    "certificate issuer is unknown; trust it with upstreamTls.ca",
+  CERT_HAS_EXPIRED: "certificate has expired",
+  CERT_NOT_YET_VALID: "certificate is not valid yet",
+  ERR_TLS_CERT_ALTNAME_INVALID:
+    "certificate does not match the hostname; set upstreamTls.servername",
+};
 
 class PrettyLogger {
   constructor(config = {}) {
@@ -22,54 +42,125 @@ class PrettyLogger {
       requestId: chalk.cyan,
     };
 
-    // Create Winston logger
-    this.logger = winston.createLogger({
-      level:
-        this.logLevel === "full"
-          ? "debug"
-          : this.logLevel === "detailed"
-          ? "info"
-          : "warn",
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.errors({ stack: true }),
-        winston.format.json()
-      ),
-      transports: [
-        new winston.transports.Console({
-          format: winston.format.combine(
-            winston.format.colorize(),
-            winston.format.simple()
-          ),
-        }),
-      ],
+    // "pretty" prints to the console below; "json" and "combined" go
+    // through winston, which also writes the log file when one is set
+    this.format = config.format || "pretty";
+    this.pretty = this.format === "pretty";
+    this.redact = [
+      ...DEFAULT_REDACTED_HEADERS,
+      ...(config.redact || []).map((name) => name.toLowerCase()),
+    ];
+    this.logger = createStructuredLogger({
+      format: this.format,
+      file: config.file,
+      verbose: this.verbose,
+    });
+  }
+
+  // Structured event for winston (json/combined console output, log file)
+  emit(level, event, fields = {}) {
+    if (!this.logger) return;
+    this.logger.log({ level, message: fields.message || event, event, ...fields });
+  }
+
+  // One event per finished request; pretty output already logged it
+  logAccess(event) {
+    this.emit("info", "access", {
+      ...event,
+      ...(event.requestHeaders
+        ? { requestHeaders: redactHeaders(event.requestHeaders, this.redact) }
+        : {}),
     });
   }
 
   // Server startup logs
-  serverStart(port, host, logLevel, routes = {}, forwardAll = null) {
+  serverStart(
+    port,
+    host,
+    logLevel,
+    routes = {},
+    forwardAll = null,
+    listeners = {}
+  ) {
+    const protocol = listeners.protocol || "http";
+    this.emit("info", "server_start", {
+      message: `Listening at ${protocol}://${host}:${port}`,
+      url: `${protocol}://${host}:${port}`,
+      httpPort: listeners.httpPort || undefined,
+      forwardAll: forwardAll || undefined,
+    });
+    if (!this.pretty) return;
     console.log("\n" + chalk.bold.blue("🚀 Flexible Reverse Proxy Server"));
     console.log(chalk.gray("═".repeat(50)));
     console.log(
       `${chalk.blue("📍")} Server running at ${chalk.green(
-        `http://${host}:${port}`
+        `${protocol}://${host}:${port}`
       )}`
     );
+    if (listeners.httpPort) {
+      console.log(
+        `${chalk.blue("📍")} Also listening at ${chalk.green(
+          `http://${host}:${listeners.httpPort}`
+        )}${listeners.redirectHttp ? chalk.gray(" (redirects to HTTPS)") : ""}`
+      );
+    }
     console.log(`${chalk.blue("📊")} Log level: ${chalk.yellow(logLevel)}`);
 
     if (forwardAll) {
       console.log(`${chalk.blue("🔄")} Forward-all mode: All traffic → ${chalk.green(forwardAll)}`);
     } else if (Object.keys(routes).length > 0) {
-      console.log(`${chalk.blue("🛣️")} Routes configured:`);
-      Object.entries(routes).forEach(([pattern, target]) => {
-        console.log(
-          `   ${chalk.cyan(pattern)} ${chalk.gray("→")} ${chalk.green(target)}`
-        );
-      });
+      const { hosts, ...defaultRoutes } = routes;
+      if (Object.keys(defaultRoutes).length > 0) {
+        console.log(`${chalk.blue("🛣️")} Routes configured:`);
+        this.printRouteTable(defaultRoutes, "   ");
+      }
+      if (hosts && typeof hosts === "object") {
+        Object.entries(hosts).forEach(([hostname, table]) => {
+          console.log(`${chalk.blue("🌐")} Host ${chalk.bold(hostname)}:`);
+          this.printRouteTable(table || {}, "   ");
+        });
+      }
     }
     console.log(chalk.gray("═".repeat(50)) + "\n");
   }
 
+  printRouteTable(routes, indent) {
+    Object.entries(routes).forEach(([pattern, target]) => {
+      console.log(
+        `${indent}${chalk.cyan(pattern)} ${chalk.gray("→")} ${this.formatRouteTarget(
+          target
+        )}`
+      );
+    });
+  }
+
+  // Helper: format a route value (single URL, upstream list or route object)
+  formatRouteTarget(value) {
+    if (typeof value === "string") {
+      return chalk.green(value);
+    }
+    if (Array.isArray(value)) {
+      return value
+        .map((entry) =>
+          typeof entry === "string"
+            ? chalk.green(entry)
+            : chalk.green(entry.url) +
+              (entry.weight !== undefined
+                ? chalk.gray(` (w=${entry.weight})`)
+                : "")
+        )
+        .join(chalk.gray(", "));
+    }
+    if (value && typeof value === "object" && value.target === undefined) {
+      return chalk.magenta(`mock ${value.status || 200}`);
+    }
+    if (value && typeof value === "object") {
+      const strategy = value.strategy ? chalk.gray(` [${value.strategy}]`) : "";
+      return this.formatRouteTarget(value.target) + strategy;
+    }
+    return chalk.gray(String(value));
+  }
+
   // Helper: filter and format critical headers
   filterCriticalHeaders(headers) {
     if (!headers) return {};
@@ -119,6 +210,7 @@ class PrettyLogger {
 
   // Request logs
   logRequest(requestId, method, url, target, headers = null, body = null) {
+    if (!this.pretty) return;
     const timestamp = new Date().toISOString();
     const methodColor = this.getMethodColor(method);
 
@@ -135,9 +227,9 @@ class PrettyLogger {
 
     if (this.logLevel === "detailed" || this.logLevel === "full") {
       if (headers) {
-        let shownHeaders = headers;
+        let shownHeaders = redactHeaders(headers, this.redact);
         if (this.logLevel !== "full") {
-          shownHeaders = this.filterCriticalHeaders(headers);
+          shownHeaders = this.filterCriticalHeaders(shownHeaders);
         }
         if (Object.keys(shownHeaders).length > 0) {
           console.log(`${chalk.gray("📋")} Headers:`);
@@ -167,6 +259,7 @@ class PrettyLogger {
     body = null,
     url = null
   ) {
+    if (!this.pretty) return;
     const timestamp = new Date().toISOString();
 
     console.log(
@@ -187,6 +280,9 @@ class PrettyLogger {
       console.log(`${chalk.gray("📍")} URL: ${this.colors.url(url)}`);
     }
 
+    if (headers) {
+      headers = redactHeaders(headers, this.redact);
+    }
     if (this.logLevel === "full" && headers) {
       // Show all headers in full mode
       console.log(`${chalk.gray("📋")} Response Headers:`);
@@ -213,6 +309,14 @@ class PrettyLogger {
 
   // Error logs
   logError(requestId, error, url = null) {
+    this.emit("error", "proxy_error", {
+      message: (error && error.message) || String(error),
+      requestId,
+      url: url || undefined,
+      code: (error && error.code) || undefined,
+      hint: this.getTlsErrorHint(error) || undefined,
+    });
+    if (!this.pretty) return;
     const timestamp = new Date().toISOString();
     console.log(
       `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
@@ -243,6 +347,15 @@ class PrettyLogger {
       console.log(`${chalk.gray("📍")} URL: ${this.colors.url(url)}`);
     }
 
+    const tlsHint = this.getTlsErrorHint(error);
+    if (tlsHint) {
+      console.log(
+        `${chalk.red("🔒")} TLS handshake with upstream failed: ${chalk.yellow(
+          tlsHint
+        )}`
+      );
+    }
+
     // Log additional error details if available
     if (error && error.code) {
       console.log(`   ${chalk.gray("Code:")} ${chalk.yellow(error.code)}`);
@@ -257,23 +370,131 @@ class PrettyLogger {
     }
   }
 
+  // WebSocket / Upgrade connection opened
+  logUpgradeOpen(requestId, url, target) {
+    this.emit("debug", "upgrade_open", { requestId, url, upstream: target });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `\n${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.magenta("WS".padEnd(6))} ${this.colors.url(url)} ${chalk.gray(
+        "→"
+      )} ${this.colors.target(target)} ${chalk.gray("(connection opened)")}`
+    );
+  }
+
+  // WebSocket / Upgrade connection closed
+  logUpgradeClose(requestId, url, stats = {}) {
+    this.emit("info", "upgrade", {
+      requestId,
+      url,
+      durationMs: stats.duration,
+      bytesIn: stats.bytesIn,
+      bytesOut: stats.bytesOut,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.magenta("🔌")} Connection closed: ${this.colors.url(url)}`
+    );
+    console.log(
+      `   ${chalk.gray("Duration:")} ${chalk.yellow(
+        this.formatDuration(stats.duration || 0)
+      )}  ${chalk.gray("In:")} ${chalk.yellow(
+        this.formatBytes(stats.bytesIn || 0)
+      )}  ${chalk.gray("Out:")} ${chalk.yellow(
+        this.formatBytes(stats.bytesOut || 0)
+      )}`
+    );
+  }
+
+  // Upstream health transitions
+  logUpstreamHealth(url, healthy, reason = null, ejectedUntil = null) {
+    this.emit(healthy ? "info" : "warn", "upstream_health", {
+      message: `Upstream ${healthy ? "healthy" : "down"}: ${url}`,
+      upstream: url,
+      healthy,
+      reason: reason || undefined,
+      ejectedUntil: ejectedUntil ? new Date(ejectedUntil).toISOString() : undefined,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(`${this.colors.timestamp(`[${timestamp}]`)}`);
+    if (healthy) {
+      console.log(
+        `${chalk.green("💚")} Upstream healthy: ${this.colors.target(url)}${
+          reason ? chalk.gray(` (${reason})`) : ""
+        }`
+      );
+      return;
+    }
+    console.log(
+      `${chalk.red("💔")} Upstream down: ${chalk.red(url)}${
+        reason ? chalk.gray(` (${reason})`) : ""
+      }`
+    );
+    if (ejectedUntil) {
+      console.log(
+        `   ${chalk.gray("Ejected until:")} ${chalk.yellow(
+          new Date(ejectedUntil).toISOString()
+        )}`
+      );
+    }
+  }
+
+  // Circuit breaker transitions: "open", "half-open" or "closed"
+  logCircuitChange(url, state, reason = null) {
+    this.emit(state === "open" ? "warn" : "info", "circuit_state", {
+      message: `Circuit ${state}: ${url}`,
+      upstream: url,
+      state,
+      reason: reason || undefined,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    const color = state === "open" ? chalk.red : state === "closed" ? chalk.green : chalk.yellow;
+    console.log(`${this.colors.timestamp(`[${timestamp}]`)}`);
+    console.log(
+      `${color("⚡")} Circuit ${color(state)}: ${this.colors.target(url)}${
+        reason ? chalk.gray(` (${reason})`) : ""
+      }`
+    );
+  }
+
   // Info logs
   info(message) {
+    this.emit("info", "message", { message });
+    if (!this.pretty) return;
     console.log(`${chalk.blue("ℹ️")} ${message}`);
   }
 
   // Success logs
   success(message) {
+    this.emit("info", "message", { message });
+    if (!this.pretty) return;
     console.log(`${chalk.green("✅")} ${message}`);
   }
 
   // Warning logs
   warning(message) {
+    this.emit("warn", "message", { message });
+    if (!this.pretty) return;
     console.log(`${chalk.yellow("⚠️")} ${message}`);
   }
 
   // Error logs
   error(message) {
+    this.emit("error", "message", { message });
+    if (!this.pretty) return;
     console.log(`${chalk.red("❌")} ${message}`);
   }
 
@@ -290,6 +511,32 @@ class PrettyLogger {
     return colors[method] || chalk.white;
   }
 
+  // Helper: explain upstream TLS failures, null for other errors
+  getTlsErrorHint(error) {
+    if (!error || !error.code) return null;
+    if (TLS_CERT_HINTS[error.code]) return TLS_CERT_HINTS[error.code];
+    if (
+      error.code === "EPROTO" ||
+      error.code.startsWith("ERR_SSL_") ||
+      error.code.startsWith("ERR_TLS_")
+    ) {
+      return "protocol negotiation failed; check upstreamTls.minVersion/maxVersion, client certificates and that the upstream speaks TLS";
+    }
+    return null;
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  formatDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60_000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60_000)}m ${Math.round((ms % 60_000) / 1000)}s`;
+  }
+
   getStatusColor(statusCode) {
     if (statusCode >= 200 && statusCode < 300) return chalk.green;
     if (statusCode >= 300 && statusCode < 400) return chalk.yellow;
@@ -320,6 +567,7 @@ class PrettyLogger {
 
   // Route not found
   logRouteNotFound(requestId, url) {
+    if (!this.pretty) return;
     const timestamp = new Date().toISOString();
     console.log(
       `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
@@ -329,15 +577,234 @@ class PrettyLogger {
     console.log(`${chalk.yellow("⚠️")} Route not found: ${chalk.cyan(url)}`);
   }
 
+  // Method not in the route's allow-list
+  logMethodNotAllowed(requestId, method, url) {
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.yellow("⛔")} Method not allowed: ${this.getMethodColor(method)(
+        method
+      )} ${chalk.cyan(url)}`
+    );
+  }
+
   // CORS preflight
-  logCorsPreflight(requestId) {
+  logCorsPreflight(requestId, origin = null) {
+    if (!this.pretty) return;
     const timestamp = new Date().toISOString();
     console.log(
       `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
         `[${requestId}]`
       )}`
     );
-    console.log(`${chalk.cyan("🔄")} CORS preflight request handled`);
+    console.log(
+      `${chalk.cyan("🔄")} CORS preflight request handled${
+        origin ? chalk.gray(` (origin: ${origin})`) : ""
+      }`
+    );
+  }
+
+  // CORS preflight from an origin outside the allow-list
+  logCorsRejected(requestId, origin, url) {
+    this.emit("warn", "cors_rejected", {
+      message: `CORS origin not allowed: ${origin}`,
+      requestId,
+      origin,
+      url,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.yellow("🚫")} CORS origin not allowed: ${chalk.red(
+        origin
+      )} ${chalk.gray("→")} ${chalk.cyan(url)}`
+    );
+  }
+
+  // Response cache outcome with the running hit ratio
+  logCache(requestId, status, url, stats) {
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    const statusColor =
+      status === "HIT" ? chalk.green : status === "STALE" ? chalk.yellow : chalk.gray;
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.blue("💾")} Cache ${statusColor(status)}: ${chalk.cyan(url)} ${chalk.gray(
+        `· hit ratio ${(stats.hitRatio * 100).toFixed(1)}% · ${stats.entries} entries, ${this.formatBytes(stats.size)}`
+      )}`
+    );
+  }
+
+  // Fault rules that fired for a request
+  logFault(requestId, method, url, faults) {
+    this.emit("warn", "fault_injected", {
+      message: `Fault injected: ${faults.join(", ")}`,
+      requestId,
+      method,
+      url,
+      faults,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.bgMagenta.white.bold(" FAULT ")} ${chalk.magenta("⚡")} ${this.getMethodColor(
+        method
+      )(method)} ${chalk.cyan(url)} ${chalk.gray("→")} ${chalk.magenta(faults.join(", "))}`
+    );
+  }
+
+  // Set-Cookie headers rewritten for the proxy's domain (detailed and full)
+  logCookieRewrite(requestId, cookies) {
+    if (this.logLevel === "basic") return;
+    this.emit("info", "cookie_rewritten", {
+      message: `Cookies rewritten: ${cookies.map((cookie) => cookie.name).join(", ")}`,
+      requestId,
+      cookies,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    for (const { name, changes } of cookies) {
+      console.log(
+        `${chalk.yellow("🍪")} Cookie ${chalk.cyan(name)}: ${chalk.gray(changes.join(", "))}`
+      );
+    }
+  }
+
+  // Request answered from a HAR recording, or missing from it
+  logReplay(requestId, method, url, found) {
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.blue("📼")} ${found ? "Replayed" : chalk.yellow("Not in recording")}: ${this.getMethodColor(
+        method
+      )(method)} ${chalk.cyan(url)}`
+    );
+  }
+
+  // Request turned away by the route's auth policies
+  logAuthRejected(requestId, method, url, status, reason) {
+    this.emit("warn", "auth_rejected", {
+      message: `Authentication failed: ${url}`,
+      requestId,
+      method,
+      url,
+      status,
+      reason,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.red("🔐")} ${chalk.red(status === 401 ? "Unauthorized" : "Forbidden")}: ${this.getMethodColor(
+        method
+      )(method)} ${chalk.cyan(url)} ${chalk.gray(`(${reason})`)}`
+    );
+  }
+
+  // Request refused by the IP lists, request limits (see guards.js) or an
+  // open circuit.
+  // Headers too large for Node to parse arrive without an id or URL.
+  logRejected(requestId, method, url, status, reason) {
+    this.emit("warn", "request_rejected", {
+      message: `Request rejected: ${url || "(unparsed)"}`,
+      requestId: requestId || undefined,
+      method: method || undefined,
+      url: url || undefined,
+      status,
+      reason,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)}${
+        requestId ? ` ${this.colors.requestId(`[${requestId}]`)}` : ""
+      }`
+    );
+    const request = url ? `${this.getMethodColor(method)(method)} ${chalk.cyan(url)} ` : "";
+    console.log(
+      `${chalk.red("🛡️")} ${chalk.red(`Rejected ${status}`)}: ${request}${chalk.gray(`(${reason})`)}`
+    );
+  }
+
+  // Request rejected by a rate limit or a full upstream queue
+  logRateLimited(requestId, url, reason) {
+    this.emit("warn", "rate_limited", {
+      message: `Request limited: ${url}`,
+      requestId,
+      url,
+      reason: reason || undefined,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.yellow("🚦")} Request limited: ${chalk.cyan(url)}${
+        reason ? chalk.gray(` (${reason})`) : ""
+      }`
+    );
+  }
+
+  // Another attempt at the upstream, after `delay` ms
+  logRetry(requestId, url, { attempt, attempts, reason, upstream, delay }) {
+    this.emit("warn", "upstream_retry", {
+      message: `Retrying ${url}`,
+      requestId,
+      url,
+      attempt,
+      attempts,
+      reason,
+      upstream,
+      delayMs: delay,
+    });
+    if (!this.pretty) return;
+    const timestamp = new Date().toISOString();
+    console.log(
+      `${this.colors.timestamp(`[${timestamp}]`)} ${this.colors.requestId(
+        `[${requestId}]`
+      )}`
+    );
+    console.log(
+      `${chalk.yellow("🔁")} Retry ${attempt}/${attempts}: ${chalk.cyan(url)} → ${this.colors.target(
+        upstream
+      )} ${chalk.gray(`(${reason}, in ${delay}ms)`)}`
+    );
   }
 }
 
@@ -0,0 +1,326 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4)
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; covers quick local upstreams as well as slow dev servers
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // joined label values -> { values, ... }
+  }
+
+  seriesFor(labels) {
+    const values = this.labelNames.map((name) =>
+      labels[name] === undefined || labels[name] === null ? "" : labels[name]
+    );
+    const key = values.join("\u0000");
+    let series = this.series.get(key);
+    if (!series) {
+      series = this.createSeries(values);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  createSeries(values) {
+    return { values, value: 0 };
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  render() {
+    let text = this.header();
+    for (const series of this.series.values()) {
+      text += `${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}\n`;
+    }
+    return text;
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return "counter";
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  // `collect` fills the gauge from live state right before each scrape
+  constructor(name, help, labelNames = [], collect = null) {
+    super(name, help, labelNames);
+    this.collect = collect;
+  }
+
+  get type() {
+    return "gauge";
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.seriesFor(labels).value -= amount;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return "histogram";
+  }
+
+  createSeries(values) {
+    return { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    let text = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        text += `${this.name}_bucket${formatLabels(
+          this.labelNames,
+          series.values,
+          `le="${formatValue(bound)}"`
+        )} ${series.counts[i]}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels(
+        this.labelNames,
+        series.values,
+        'le="+Inf"'
+      )} ${series.count}\n`;
+      const labels = formatLabels(this.labelNames, series.values);
+      text += `${this.name}_sum${labels} ${series.sum}\n`;
+      text += `${this.name}_count${labels} ${series.count}\n`;
+    }
+    return text;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map((metric) => metric.render()).join("");
+  }
+}
+
+const KNOWN_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+// The proxy's metric set. `getUpstreams` supplies live upstream state at
+// scrape time (see getUpstreams() in proxy-server.js).
+function createProxyMetrics({ getUpstreams }) {
+  const registry = new MetricsRegistry();
+  const labels = ["route", "upstream", "method", "status_class"];
+  const metrics = {
+    registry,
+    requests: registry.counter(
+      "frp_http_requests_total",
+      "HTTP requests handled by the proxy",
+      labels
+    ),
+    duration: registry.histogram(
+      "frp_http_request_duration_seconds",
+      "Time from receiving a request to finishing its response",
+      labels
+    ),
+    inFlight: registry.gauge(
+      "frp_http_requests_in_flight",
+      "HTTP requests currently being handled",
+      ["route"]
+    ),
+    bytesIn: registry.counter(
+      "frp_http_request_bytes_total",
+      "Bytes received from clients, headers included",
+      ["route", "upstream"]
+    ),
+    bytesOut: registry.counter(
+      "frp_http_response_bytes_total",
+      "Bytes sent to clients, headers included",
+      ["route", "upstream"]
+    ),
+    upstreamErrors: registry.counter(
+      "frp_upstream_errors_total",
+      "Failed upstream requests by error code",
+      ["route", "upstream", "code"]
+    ),
+    retries: registry.counter(
+      "frp_upstream_retries_total",
+      "Requests retried against an upstream",
+      ["route", "upstream"]
+    ),
+    staleConnections: registry.counter(
+      "frp_upstream_stale_connections_total",
+      "Requests sent again after a pooled upstream connection turned out to be closed",
+      ["upstream"]
+    ),
+    websockets: registry.gauge(
+      "frp_websocket_connections_active",
+      "Open WebSocket and other upgraded connections",
+      ["route"]
+    ),
+    cache: registry.counter(
+      "frp_cache_requests_total",
+      "Response cache lookups by outcome",
+      ["route", "status"]
+    ),
+    faults: registry.counter(
+      "frp_faults_injected_total",
+      "Faults injected by route fault rules",
+      ["route", "fault"]
+    ),
+    rejected: registry.counter(
+      "frp_requests_rejected_total",
+      "Requests refused by IP lists, request limits, allowed methods or open circuits",
+      ["route", "reason"]
+    ),
+  };
+
+  registry.gauge(
+    "frp_upstream_up",
+    "Whether an upstream is considered healthy (1) or ejected (0)",
+    ["upstream"],
+    (gauge) => {
+      for (const pool of getUpstreams()) {
+        for (const target of pool.targets) {
+          gauge.set({ upstream: target.url }, target.healthy ? 1 : 0);
+        }
+      }
+    }
+  );
+  registry.gauge(
+    "frp_circuit_state",
+    "Circuit breaker state per upstream: closed (0), half-open (1) or open (2)",
+    ["upstream"],
+    (gauge) => {
+      const values = { closed: 0, "half-open": 1, open: 2 };
+      for (const pool of getUpstreams()) {
+        for (const target of pool.targets) {
+          if (target.circuit) {
+            gauge.set({ upstream: target.url }, values[target.circuit.state]);
+          }
+        }
+      }
+    }
+  );
+  registry.gauge(
+    "frp_upstream_active_connections",
+    "Requests in flight per upstream",
+    ["upstream"],
+    (gauge) => {
+      for (const pool of getUpstreams()) {
+        for (const target of pool.targets) {
+          // An upstream can sit in more than one pool
+          gauge.inc({ upstream: target.url }, target.activeConnections);
+        }
+      }
+    }
+  );
+  registry.gauge(
+    "frp_upstream_sockets",
+    "Upstream connections per upstream, in use (active) or pooled (idle)",
+    ["upstream", "state"],
+    (gauge) => {
+      for (const pool of getUpstreams()) {
+        for (const target of pool.targets) {
+          gauge.set({ upstream: target.url, state: "active" }, target.sockets.active);
+          gauge.set({ upstream: target.url, state: "idle" }, target.sockets.idle);
+        }
+      }
+    }
+  );
+  return metrics;
+}
+
+function methodLabel(method) {
+  return KNOWN_METHODS.includes(method) ? method : "OTHER";
+}
+
+// Responds to a scrape request
+function serveMetrics(registry, res) {
+  const body = registry.render();
+  res.writeHead(200, {
+    "Content-Type": CONTENT_TYPE,
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+module.exports = {
+  MetricsRegistry,
+  createProxyMetrics,
+  methodLabel,
+  serveMetrics,
+};
@@ -0,0 +1,281 @@
+const zlib = require("zlib");
+const { PassThrough } = require("stream");
+const { promisify } = require("util");
+const { hasBody } = require("./guards");
+const { TEXT_TYPES } = require("./har");
+
+// A plugin is an object with any of these hooks, run in plugin order:
+//   onRequest(req, res, context)             before the request is routed on;
+//                                            may answer it, may be async
+//   onProxyReq(proxyReq, req, context)       edit the upstream request headers;
+//                                            runs synchronously
+//   onProxyRes(proxyRes, req, context)       edit the upstream status and
+//                                            headers before they are sent; may be async
+//   onError(error, req, res, context)        an upstream or plugin error; may
+//                                            answer the request instead of the 502
+// Bodies are rewritten with context.transformRequestBody(fn) from onRequest
+// and context.transformResponseBody(fn) from onRequest or onProxyRes.
+const HOOKS = ["onRequest", "onProxyReq", "onProxyRes", "onError"];
+
+// Larger bodies are passed through untransformed
+const MAX_TRANSFORM_BODY = 10 * 1024 * 1024;
+
+// Only text bodies (TEXT_TYPES) are handed to transforms
+const JSON_TYPES = /[/+]json\b/i;
+
+// content-encoding -> [decode, encode]
+const CODECS = {
+  gzip: [promisify(zlib.gunzip), promisify(zlib.gzip)],
+  "x-gzip": [promisify(zlib.gunzip), promisify(zlib.gzip)],
+  deflate: [promisify(zlib.inflate), promisify(zlib.deflate)],
+  br: [promisify(zlib.brotliDecompress), promisify(zlib.brotliCompress)],
+};
+
+function pluginName(plugin, index) {
+  return plugin.name || `plugin ${index + 1}`;
+}
+
+// `spec` is a plugin object or a module path. Relative paths are resolved
+// from the working directory; a module may export the hooks or a function
+// returning them.
+function loadPlugin(spec, options = {}) {
+  let plugin = spec;
+  if (typeof spec === "string") {
+    const file = require.resolve(spec, { paths: [process.cwd()] });
+    plugin = require(file);
+    if (typeof plugin === "function") {
+      plugin = plugin(options);
+    }
+    if (plugin && !plugin.name) {
+      plugin = { ...plugin, name: spec };
+    }
+  }
+  if (plugin === null || typeof plugin !== "object") {
+    throw new Error(`plugin ${spec} must export an object of hooks`);
+  }
+  for (const hook of HOOKS) {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") {
+      throw new Error(`${pluginName(plugin, 0)}: ${hook} must be a function`);
+    }
+  }
+  if (!HOOKS.some((hook) => plugin[hook])) {
+    throw new Error(`${pluginName(plugin, 0)} has none of ${HOOKS.join(", ")}`);
+  }
+  return plugin;
+}
+
+// Thrown by runHooks so the caller knows which plugin failed
+class PluginError extends Error {
+  constructor(plugin, hook, cause) {
+    super(`${plugin} ${hook} failed: ${cause && cause.message ? cause.message : cause}`);
+    this.plugin = plugin;
+    this.hook = hook;
+    this.cause = cause;
+  }
+}
+
+// Runs one hook of every plugin in order, waiting for async hooks, until
+// `done()` is true (e.g. once a hook answered the request)
+async function runHooks(plugins, hook, args, done = () => false) {
+  for (const [index, plugin] of plugins.entries()) {
+    if (!plugin[hook]) continue;
+    if (done()) return;
+    try {
+      await plugin[hook](...args);
+    } catch (error) {
+      throw new PluginError(pluginName(plugin, index), hook, error);
+    }
+  }
+}
+
+// onProxyReq runs inside http-proxy's event, before the request is sent
+function runHooksSync(plugins, hook, args) {
+  for (const [index, plugin] of plugins.entries()) {
+    if (!plugin[hook]) continue;
+    try {
+      plugin[hook](...args);
+    } catch (error) {
+      throw new PluginError(pluginName(plugin, index), hook, error);
+    }
+  }
+}
+
+// State shared by the hooks of one request
+function createPluginContext(req, { requestId, route, upstream }) {
+  const scheme = req.socket.encrypted ? "https" : "http";
+  return {
+    requestId,
+    route,
+    url: req.url,
+    // The proxy's own origin, e.g. for rewriting upstream URLs in bodies
+    origin: `${scheme}://${req.headers.host || "localhost"}`,
+    get upstream() {
+      return upstream();
+    },
+    state: {}, // free for plugins to pass data between hooks
+    requestTransforms: [],
+    responseTransforms: [],
+    transformRequestBody(fn) {
+      this.requestTransforms.push(fn);
+    },
+    transformResponseBody(fn) {
+      this.responseTransforms.push(fn);
+    },
+  };
+}
+
+function contentEncoding(headers) {
+  return String(headers["content-encoding"] || "identity").trim().toLowerCase();
+}
+
+function isTransformable(headers) {
+  const encoding = contentEncoding(headers);
+  return (
+    TEXT_TYPES.test(headers["content-type"] || "") &&
+    (encoding === "identity" || CODECS[encoding] !== undefined) &&
+    !(Number(headers["content-length"]) > MAX_TRANSFORM_BODY)
+  );
+}
+
+// Transforms get JSON bodies parsed and text as a string. Returning
+// undefined keeps the body, an object is sent as JSON.
+async function applyTransforms(body, contentType, transforms) {
+  let text = body.toString("utf8");
+  for (const transform of transforms) {
+    let input = text;
+    if (JSON_TYPES.test(contentType)) {
+      try {
+        input = JSON.parse(text);
+      } catch (_) {}
+    }
+    const result = await transform(input);
+    if (result === undefined) continue;
+    text =
+      typeof result === "string"
+        ? result
+        : Buffer.isBuffer(result)
+          ? result.toString("utf8")
+          : JSON.stringify(result);
+  }
+  return Buffer.from(text);
+}
+
+// Decodes, transforms and re-encodes a complete body
+async function transformBody(body, headers, transforms) {
+  const codec = CODECS[contentEncoding(headers)];
+  const decoded = codec ? await codec[0](body) : body;
+  const transformed = await applyTransforms(decoded, headers["content-type"] || "", transforms);
+  return codec ? codec[1](transformed) : transformed;
+}
+
+// Response-like stream (statusCode, headers, complete, pipe) over `chunks`
+// followed by whatever `rest` still has to send
+function createResponseStream(source, headers, chunks, rest) {
+  const stream = new PassThrough();
+  stream.statusCode = source.statusCode;
+  stream.statusMessage = source.statusMessage;
+  stream.headers = headers;
+  Object.defineProperty(stream, "complete", {
+    get: () => (rest ? rest.complete : true),
+  });
+  for (const chunk of chunks) stream.write(chunk);
+  if (rest) {
+    rest.pipe(stream);
+  } else {
+    stream.end();
+  }
+  return stream;
+}
+
+// Resolves to the response to send: proxyRes itself when nothing needs
+// rewriting, otherwise a buffered, rewritten copy with fixed headers
+function transformResponse(proxyRes, req, transforms) {
+  const status = proxyRes.statusCode;
+  if (
+    transforms.length === 0 ||
+    req.method === "HEAD" ||
+    status === 204 ||
+    status === 304 ||
+    !isTransformable(proxyRes.headers)
+  ) {
+    return Promise.resolve(proxyRes);
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size > MAX_TRANSFORM_BODY) {
+        // Too large after all: send what was read and stream the rest as is
+        proxyRes.off("data", onData);
+        proxyRes.off("end", onEnd);
+        proxyRes.pause();
+        resolve(createResponseStream(proxyRes, proxyRes.headers, chunks, proxyRes));
+      }
+    };
+    const onEnd = () => {
+      if (!proxyRes.complete) {
+        reject(new Error("upstream response ended early"));
+        return;
+      }
+      transformBody(Buffer.concat(chunks), proxyRes.headers, transforms).then((body) => {
+        const headers = { ...proxyRes.headers, "content-length": String(body.length) };
+        delete headers["transfer-encoding"];
+        delete headers["content-md5"];
+        // The bytes changed, so a strong validator no longer holds
+        if (headers.etag && !headers.etag.startsWith("W/")) {
+          headers.etag = `W/${headers.etag}`;
+        }
+        resolve(createResponseStream(proxyRes, headers, [body], null));
+      }, reject);
+    };
+    proxyRes.on("data", onData);
+    proxyRes.on("end", onEnd);
+    proxyRes.on("error", reject);
+  });
+}
+
+// Reads and rewrites the request body, or `body` when the proxy already
+// read it. Resolves to null when the request is sent upstream unchanged;
+// rejects with a `status` for bodies that are too large.
+function transformRequest(req, transforms, body) {
+  if (transforms.length === 0 || !isTransformable(req.headers)) {
+    return Promise.resolve(null);
+  }
+  if (body) {
+    return body.length > 0 ? transformBody(body, req.headers, transforms) : Promise.resolve(null);
+  }
+  if (!hasBody(req)) {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      if (size > MAX_TRANSFORM_BODY) return; // rejected, draining the rest
+      size += chunk.length;
+      if (size > MAX_TRANSFORM_BODY) {
+        const error = new Error("request body too large to transform");
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_TRANSFORM_BODY) return;
+      transformBody(Buffer.concat(chunks), req.headers, transforms).then(resolve, reject);
+    });
+    req.on("error", reject);
+  });
+}
+
+module.exports = {
+  loadPlugin,
+  runHooks,
+  runHooksSync,
+  createPluginContext,
+  transformRequest,
+  transformResponse,
+};
@@ -3,8 +3,127 @@ const https = require("https");
 const httpProxy = require("http-proxy");
 const fs = require("fs");
 const path = require("path");
+const { Readable } = require("stream");
 const { match } = require("path-to-regexp");
 const { PrettyLogger } = require("./logger");
+const { redactHeaders } = require("./structured-log");
+const { UpstreamPool } = require("./upstream-pool");
+const { resolveCircuitBreaker } = require("./circuit-breaker");
+const {
+  resolveRetryPolicy,
+  retryDelay,
+  isRetryableError,
+  isRetryableStatus,
+  needsBodyBuffer,
+} = require("./retry");
+const { HealthChecker } = require("./health-checker");
+const { UpstreamAgents, isStaleSocketError } = require("./upstream-agents");
+const {
+  normalizeRoute,
+  rewritePath,
+  isRouteObject,
+  normalizeHostname,
+  compileHostPattern,
+} = require("./route-config");
+const {
+  createTlsServerOptions,
+  resolveUpstreamTls,
+} = require("./tls");
+const {
+  compileCorsPolicy,
+  applyCorsHeaders,
+  filterUpstreamCorsHeaders,
+  isPreflight,
+} = require("./cors");
+const {
+  ResponseCache,
+  serveFromCache,
+  stripHopByHopHeaders,
+  parseCacheControl,
+} = require("./cache");
+const { RateLimiter, checkRateLimits, setRateLimitHeaders } = require("./rate-limit");
+const { createAdminServer } = require("./admin-server");
+const { createProxyMetrics, methodLabel, serveMetrics } = require("./metrics");
+const {
+  REQUEST_ID_HEADER,
+  createRequestId,
+  resolveRequestId,
+} = require("./request-id");
+const { Tracer, formatTraceparent } = require("./tracing");
+const { HarRecorder, HarReplayer } = require("./har");
+const { serveLocalTarget } = require("./local-target");
+const {
+  normalizeCookieRewrite,
+  compileCookieRewrite,
+  rewriteCookies,
+} = require("./cookies");
+const { pickFaults, describeFaults, injectFaults } = require("./faults");
+const { compileAuth, authenticate, takeQueryKeys } = require("./auth");
+const {
+  CLIENT_IP,
+  compileGuards,
+  resolveClientIp,
+  checkRequest,
+  bodyLimit,
+  hasBody,
+  hasUnknownLength,
+  readLimitedBody,
+} = require("./guards");
+const {
+  loadPlugin,
+  runHooks,
+  runHooksSync,
+  createPluginContext,
+  transformRequest,
+  transformResponse,
+} = require("./plugins");
+
+// Upstream URL and route chosen for a request, read back in the proxy hooks
+const UPSTREAM = Symbol.for("__frp_upstream__");
+const ROUTE = Symbol.for("__frp_route__");
+// Cache lookup state for requests answered through the response cache
+const CACHE = Symbol.for("__frp_cache__");
+// Id shared by every log line about one request (see request-id.js)
+const REQUEST_ID = Symbol.for("__frp_request_id__");
+// Upstream attempts repeated after a failure
+const RETRIES = Symbol.for("__frp_retries__");
+// While another attempt is possible: decides whether an upstream response
+// is thrown away and retried
+const RETRY_RESPONSE = Symbol.for("__frp_retry_response__");
+// Trace span of the request when tracing is enabled
+const SPAN = Symbol.for("__frp_span__");
+// Context passed to plugin hooks, when plugins are loaded
+const PLUGINS = Symbol.for("__frp_plugins__");
+// Request body already read by the proxy (a chunked body under a size limit,
+// one kept for retries, or one rewritten by a plugin), sent instead of the
+// client's stream
+const REQUEST_BODY = Symbol.for("__frp_request_body__");
+// Identity from the route's auth policies: { type, user, headers }
+const AUTH = Symbol.for("__frp_auth__");
+// Set once the upstream's circuit breaker has heard how the request went
+const CIRCUIT_RECORDED = Symbol.for("__frp_circuit_recorded__");
+// Request sent upstream by the current attempt, to tell whether it failed on
+// a stale pooled connection
+const UPSTREAM_REQUEST = Symbol.for("__frp_upstream_request__");
+// Request bodies logged at the "full" level are cut off after this many bytes
+const MAX_LOGGED_BODY = 64 * 1024;
+
+function describeBody(body, size) {
+  const text = body.subarray(0, MAX_LOGGED_BODY).toString();
+  return size > MAX_LOGGED_BODY ? `${text}… (${size} bytes, truncated)` : text;
+}
+
+// Resolves with the address once `srv` is listening; rejects when it cannot
+// listen, e.g. because the port is taken
+function listen(srv, port, host) {
+  return new Promise((resolve, reject) => {
+    srv.once("error", reject);
+    srv.listen(port, host, () => {
+      srv.off("error", reject);
+      resolve(srv.address());
+    });
+  });
+}
 
 function createProxyServer(config = {}) {
   const {
@@ -16,39 +135,661 @@ function createProxyServer(config = {}) {
     logLevel = "basic",
     preserveHeaders = true,
     changeOrigin = true,
+    cookieDomainRewrite = false, // Set-Cookie Domain rewrite for all routes, see cookies.js
+    cookiePathRewrite = false, // Set-Cookie Path rewrite for all routes
+    stripSecureCookies = false, // Drop Secure and SameSite=None from cookies sent over plain HTTP
     watchRoutes = false,
     forwardAll = null, // New option: forward all traffic to this target
+    healthCheck = {}, // Global health check defaults, overridable per route
+    circuitBreaker = false, // Per-upstream circuit breaker: true or settings, see circuit-breaker.js
+    retry = true, // Retry policy for all routes: true (defaults), false or settings, see retry.js
+    keepAlive = true, // Upstream connection reuse: true, false or pool settings, see upstream-agents.js
+    tls = null, // HTTPS listener: { cert, key } or { selfSigned: true }, plus `sni`
+    httpPort = null, // Also listen on plain HTTP on this port when using HTTPS
+    redirectHttp = false, // Redirect the plain HTTP listener to HTTPS
+    upstreamTls = {}, // Global upstream TLS settings, overridable per route
+    cors = true, // CORS policy object, or "off" / "pass-through"
+    auth = null, // Auth policies for routes without their own, see auth.js
+    guards = {}, // IP allow/deny lists and request size limits, see guards.js
+    cache = false, // Response cache for all routes: true or { maxSize, dir, ttl, ... }
+    admin = null, // Admin API listener: { port, host, token, persist }
+    metrics = null, // Prometheus endpoint: true, or { path, port, host }
+    logFormat = "pretty", // "pretty", "json" or "combined"
+    logFile = null, // Log file path, or { path, maxSize, rotate, maxFiles }
+    logRedact = [], // Extra header names masked in structured logs
+    tracing = null, // OTLP/HTTP trace export: true or { endpoint, serviceName, headers, sampleRatio }
+    record = null, // HAR file to record traffic to
+    replay = null, // HAR file to answer requests from: path or { file, strict }
+    faults = true, // Whether route fault rules are active; see toggleFaults()
+    plugins = [], // Hook objects or module paths, see plugins.js
   } = config;
 
   // Initialize pretty logger
-  const logger = new PrettyLogger({ logLevel, verbose });
+  const logger = new PrettyLogger({
+    logLevel,
+    verbose,
+    format: logFormat,
+    file: logFile,
+    redact: logRedact,
+  });
 
   let currentRoutes = { ...routes };
+  // Routes from the routes file and the admin API, without `routes` given
+  // here (e.g. --route on the command line); what persistRoutes() writes
+  let savedRoutes = {};
   let server = null;
+  let httpServer = null; // Plain HTTP companion of an HTTPS server
   let watcher = null;
+  let adminServer = null;
+  let metricsServer = null; // Only when metrics get their own port
+  let recorder = null;
+  let replayer = null;
+  let faultsEnabled = faults;
+  let loadedPlugins = []; // Loaded in start()
   let routeMatchers = [];
-  let defaultTarget = currentRoutes["*"] || null; // Catch-all target if provided
-
-  // Agents (keepAlive disabled to avoid upstream resets)
-  const httpAgent = new http.Agent({ keepAlive: false });
-  const httpsAgent = new https.Agent({
-    keepAlive: false,
-    rejectUnauthorized: false,
-    // Add more SSL options for debugging
-    secureProtocol: 'TLSv1_2_method',
-    ciphers: 'ALL',
-    minVersion: 'TLSv1.2',
-    maxVersion: 'TLSv1.3',
+  let defaultRoute = null; // Catch-all route if "*" is provided
+  let hostTables = []; // Per-host route tables from the "hosts" key
+  // Upstream pools keyed by their route definition, kept across reloads so
+  // balancing state and in-flight counts survive a routes file change
+  let upstreamPools = new Map();
+  // Rate limiters keyed the same way, so buckets survive reloads too
+  let rateLimiters = new Map();
+  // HTTPS upstreams already warned about for skipping certificate checks
+  const unverifiedUpstreams = new Set();
+  // Counters reported by the admin API
+  const stats = {
+    startedAt: Date.now(),
+    requests: 0,
+    inFlight: 0,
+    aborted: 0,
+    responses: {}, // status class ("2xx") -> count
+    upgrades: 0,
+    activeUpgrades: 0,
+  };
+  // Upstream connections, pooled per origin unless keepAlive is off
+  const upstreamAgents = new UpstreamAgents(keepAlive);
+
+  function getUpstreamAgent(route, target, options) {
+    return upstreamAgents.get(target, route.upstream.tls, options);
+  }
+
+  const healthChecker = new HealthChecker({
+    logger,
+    defaults: healthCheck,
+    // Probes go out with the same TLS settings as proxied requests, each on
+    // a new connection so an idle one cannot fail them
+    agentFor: (url, pool) => upstreamAgents.get(url, pool.tls, { reuse: false }),
   });
+  const isUpstreamAvailable = (url) => healthChecker.isAvailable(url);
+  const proxyMetrics = createProxyMetrics({ getUpstreams });
+  const tracer = tracing
+    ? new Tracer(isRouteObject(tracing) ? tracing : {}, logger)
+    : null;
+  const metricsConfig = metrics
+    ? { path: "/metrics", host, ...(isRouteObject(metrics) ? metrics : {}) }
+    : null;
+  // Shared by every caching route; created on first use
+  let responseCache = null;
+
+  function getResponseCache() {
+    if (!responseCache) {
+      responseCache = new ResponseCache(isRouteObject(cache) ? cache : {});
+    }
+    return responseCache;
+  }
+
+  // Route `cache` is false, true or { ttl } and defaults to the global setting
+  function resolveRouteCache(setting) {
+    const value = setting === undefined ? cache : setting;
+    if (!value) return null;
+    const ttl =
+      isRouteObject(value) && value.ttl !== undefined
+        ? value.ttl
+        : isRouteObject(cache)
+          ? cache.ttl
+          : undefined;
+    getResponseCache(); // fail early on an unusable cache directory
+    return { ttl };
+  }
 
-  function compileRouteMatchers(routesObj) {
-    return Object.entries(routesObj)
-      .filter(([pattern]) => pattern !== "*")
-      .map(([pattern, target]) => ({
+  const globalCorsPolicy = compileCorsPolicy(cors);
+  const globalAuth = compileAuth(auth) || null;
+  const globalGuards = compileGuards(guards);
+  const cookieDefaults = {
+    cookieDomainRewrite: normalizeCookieRewrite(cookieDomainRewrite, "cookieDomainRewrite"),
+    cookiePathRewrite: normalizeCookieRewrite(cookiePathRewrite, "cookiePathRewrite"),
+    stripSecureCookies,
+  };
+  const forwardAllRoute = forwardAll
+    ? compileRoute("* (forwardAll)", forwardAll, {
+        pools: new Map(),
+        limiters: new Map(),
+      })
+    : null;
+
+  function getUpstreamPool(upstream, { pools }) {
+    const key = JSON.stringify(upstream);
+    const pool =
+      pools.get(key) ||
+      upstreamPools.get(key) ||
+      new UpstreamPool(upstream, {
+        onCircuitChange: (url, circuit, reason) => logger.logCircuitChange(url, circuit, reason),
+      });
+    pools.set(key, pool);
+    return pool;
+  }
+
+  function getRateLimiters(pattern, rateLimit, { limiters }) {
+    if (rateLimit === undefined || rateLimit === null) return [];
+    return [].concat(rateLimit).map((config, index) => {
+      const key = `${pattern} ${index} ${JSON.stringify(config)}`;
+      const limiter =
+        limiters.get(key) || rateLimiters.get(key) || new RateLimiter(config);
+      limiters.set(key, limiter);
+      return limiter;
+    });
+  }
+
+  function warnUnverifiedUpstreams(route) {
+    for (const { url } of route.pool.targets) {
+      if (!url.startsWith("https:") || unverifiedUpstreams.has(url)) continue;
+      unverifiedUpstreams.add(url);
+      logger.warning(
+        `TLS certificates of ${url} are not verified (route ${route.pattern}); any certificate is accepted`
+      );
+    }
+  }
+
+  // Custom API key and token headers are masked in logs like Authorization
+  function redactCredentialHeaders(routeAuth) {
+    for (const name of routeAuth.credentialHeaders) {
+      if (!logger.redact.includes(name)) logger.redact.push(name);
+    }
+  }
+
+  // `state` collects the pools and rate limiters of the table being compiled
+  function compileRoute(pattern, value, state) {
+    try {
+      const route = normalizeRoute(pattern, value);
+      route.upstream.tls = resolveUpstreamTls(upstreamTls, route.upstreamTls);
+      route.upstream.circuitBreaker = resolveCircuitBreaker(
+        route.upstream.circuitBreaker,
+        circuitBreaker
+      );
+      upstreamAgents.agentOptions(route.upstream.tls); // fail early on unreadable CA or cert files
+      healthChecker.resolveConfig(route.upstream.healthCheck); // and on invalid health checks
+      route.cors =
+        route.cors === undefined
+          ? globalCorsPolicy
+          : compileCorsPolicy(route.cors, cors);
+      route.cache = resolveRouteCache(route.cache);
+      route.cookies = compileCookieRewrite(route, cookieDefaults);
+      route.auth = route.auth === undefined ? globalAuth : route.auth;
+      if (route.auth) {
+        redactCredentialHeaders(route.auth);
+      }
+      route.retry = resolveRetryPolicy(route.retry, retry);
+      // On routes with auth, limits keyed by a header (an API key) only count
+      // authenticated requests; the others also count refused ones, so they
+      // slow down credential guessing
+      const limiters = getRateLimiters(pattern, route.rateLimit, state);
+      route.authRateLimiters = route.auth ? limiters.filter((limiter) => limiter.header) : [];
+      route.rateLimiters = limiters.filter((limiter) => !route.authRateLimiters.includes(limiter));
+      route.pool = route.local ? null : getUpstreamPool(route.upstream, state);
+      if (route.pool && route.upstream.tls.verify === false) {
+        warnUnverifiedUpstreams(route);
+      }
+      return route;
+    } catch (error) {
+      throw new Error(`Invalid route "${pattern}": ${error.message}`);
+    }
+  }
+
+  function compileRouteTable(routesObj, state, label = "") {
+    const matchers = Object.entries(routesObj)
+      .filter(([pattern]) => pattern !== "*" && pattern !== "hosts")
+      .map(([pattern, value]) => ({
         matcher: match(pattern, { decode: decodeURIComponent }),
-        pattern,
-        target,
+        pattern: label + pattern,
+        route: compileRoute(label + pattern, value, state),
       }));
+    const fallback =
+      routesObj["*"] !== undefined
+        ? compileRoute(label + "*", routesObj["*"], state)
+        : null;
+    return { matchers, fallback };
+  }
+
+  function compileHostTables(hosts, state) {
+    if (hosts === undefined) return [];
+    if (!isRouteObject(hosts)) {
+      throw new Error(`"hosts" must map hostnames to route tables`);
+    }
+    return Object.entries(hosts)
+      .map(([hostname, table]) => {
+        if (!isRouteObject(table)) {
+          throw new Error(`Routes for host "${hostname}" must be an object`);
+        }
+        return {
+          ...compileHostPattern(hostname),
+          ...compileRouteTable(table, state, `${hostname} `),
+        };
+      })
+      .sort((a, b) => b.specificity - a.specificity);
+  }
+
+  // Compile routes into matchers and swap them in. Throws without touching
+  // the current state if any route is invalid.
+  function applyRoutes(routesObj) {
+    const state = { pools: new Map(), limiters: new Map() };
+    const { matchers, fallback } = compileRouteTable(routesObj, state);
+    const hosts = compileHostTables(routesObj.hosts, state);
+    // Throws on invalid health checks, so the old routes stay in place
+    healthChecker.sync([...state.pools.values()]);
+
+    currentRoutes = routesObj;
+    routeMatchers = matchers;
+    defaultRoute = fallback;
+    hostTables = hosts;
+    upstreamPools = state.pools;
+    rateLimiters = state.limiters;
+  }
+
+  // Resolve the route for a request (shared by HTTP and upgrades)
+  function resolveTarget(req) {
+    if (forwardAllRoute) {
+      // Forward all traffic to the specified target
+      return { route: forwardAllRoute, matchedRoute: "* (forwardAll)" };
+    }
+    // A matching virtual host only uses its own table; other hosts fall back
+    // to the top-level routes
+    const hostname = normalizeHostname(req.headers.host);
+    const hostTable = hostTables.find((table) => table.test(hostname));
+    const matchers = hostTable ? hostTable.matchers : routeMatchers;
+    const fallback = hostTable ? hostTable.fallback : defaultRoute;
+
+    // Find matching route using path-to-regexp, on the path without the query
+    const pathname = req.url.split("?")[0];
+    for (const { matcher, route, pattern } of matchers) {
+      if (matcher(pathname)) {
+        return { route, matchedRoute: pattern };
+      }
+    }
+    // If no specific match, use wildcard default if available
+    if (fallback) {
+      return { route: fallback, matchedRoute: `${fallback.pattern} (wildcard)` };
+    }
+    return { route: null, matchedRoute: null };
+  }
+
+  function describeRoutes(routesObj) {
+    const patterns = Object.keys(routesObj).filter((key) => key !== "hosts");
+    if (isRouteObject(routesObj.hosts)) {
+      for (const [hostname, table] of Object.entries(routesObj.hosts)) {
+        patterns.push(...Object.keys(table || {}).map((p) => `${hostname} ${p}`));
+      }
+    }
+    return patterns.join(", ");
+  }
+
+  // Per-route request header edits, applied after the built-in rewrites
+  function applyRouteRequestHeaders(proxyReq, route) {
+    for (const name of route.removeRequestHeaders) {
+      proxyReq.removeHeader(name);
+    }
+    for (const [name, value] of Object.entries(route.addRequestHeaders)) {
+      proxyReq.setHeader(name, value);
+    }
+  }
+
+  // Verified claims go upstream; the same headers from the client never do,
+  // nor do the credentials the request was accepted with
+  function applyAuthHeaders(proxyReq, req, route) {
+    for (const name of route.auth.headers) {
+      proxyReq.removeHeader(name);
+    }
+    if (!req[AUTH]) return;
+    const { credential } = req[AUTH];
+    if (credential && credential.header) {
+      proxyReq.removeHeader(credential.header);
+    }
+    if (credential && credential.cookie) {
+      removeCookie(proxyReq, credential.cookie);
+    }
+    for (const [name, value] of Object.entries(req[AUTH].headers)) {
+      proxyReq.setHeader(name, value);
+    }
+  }
+
+  function removeCookie(proxyReq, cookieName) {
+    const kept = String(proxyReq.getHeader("cookie") || "")
+      .split(";")
+      .map((part) => part.trim())
+      .filter((part) => part && part.split("=")[0] !== cookieName);
+    if (kept.length > 0) {
+      proxyReq.setHeader("Cookie", kept.join("; "));
+    } else {
+      proxyReq.removeHeader("Cookie");
+    }
+  }
+
+  // The cache answers the client's conditionals itself, so the upstream only
+  // sees the validators of the entry being revalidated
+  function applyCacheRequestHeaders(proxyReq, context) {
+    proxyReq.removeHeader("if-none-match");
+    proxyReq.removeHeader("if-modified-since");
+    if (context.revalidating) {
+      const { etag, "last-modified": lastModified } = context.entry.headers;
+      if (etag) proxyReq.setHeader("If-None-Match", etag);
+      if (lastModified) proxyReq.setHeader("If-Modified-Since", lastModified);
+    }
+  }
+
+  function finishCacheLookup(context, status) {
+    context.status = status;
+    responseCache.record(status);
+    proxyMetrics.cache.inc({ route: context.route, status });
+    logger.logCache(context.requestId, status, context.url, responseCache.getStats());
+  }
+
+  function handleCacheableResponse(proxyRes, req, res, context) {
+    const status = proxyRes.statusCode;
+    if (context.revalidating && status === 304) {
+      proxyRes.resume();
+      responseCache.refresh(context.key, context.entry, proxyRes.headers);
+      finishCacheLookup(context, "HIT");
+      serveFromCache(req, res, responseCache, context.entry, "HIT");
+      return;
+    }
+    if (context.entry && status >= 500) {
+      proxyRes.resume();
+      finishCacheLookup(context, "STALE");
+      serveFromCache(req, res, responseCache, context.entry, "STALE");
+      return;
+    }
+
+    finishCacheLookup(context, "MISS");
+    res.writeHead(status, proxyRes.statusMessage, {
+      ...stripHopByHopHeaders(proxyRes.headers),
+      "x-cache": "MISS",
+    });
+
+    const storable =
+      req.method === "GET" &&
+      responseCache.isStorable(req, status, proxyRes.headers);
+    const chunks = [];
+    let size = 0;
+    if (storable) {
+      proxyRes.on("data", (chunk) => {
+        size += chunk.length;
+        // Too large to store: stop buffering but keep streaming
+        if (size <= responseCache.maxEntrySize) chunks.push(chunk);
+      });
+    }
+    proxyRes.on("end", () => {
+      if (storable && proxyRes.complete && size <= responseCache.maxEntrySize) {
+        responseCache.store(
+          context.key,
+          req,
+          status,
+          proxyRes.headers,
+          Buffer.concat(chunks),
+          context.ttl
+        );
+      }
+    });
+    proxyRes.pipe(res);
+  }
+
+  function isMetricsRequest(req) {
+    return req.method === "GET" && req.url.split("?")[0] === metricsConfig.path;
+  }
+
+  // Size of the request line and headers, which the socket has already read
+  function requestHeaderBytes(req) {
+    let size = `${req.method} ${req.url} HTTP/${req.httpVersion}\r\n\r\n`.length;
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+      size += req.rawHeaders[i].length + req.rawHeaders[i + 1].length + 4;
+    }
+    return size;
+  }
+
+  function trackRequest(req, res, route) {
+    const startTime = process.hrtime.bigint();
+    const socket = req.socket;
+    const bytesRead = socket.bytesRead - requestHeaderBytes(req);
+    const bytesWritten = socket.bytesWritten;
+    const routeLabel = route ? route.pattern : "none";
+    stats.requests++;
+    stats.inFlight++;
+    proxyMetrics.inFlight.inc({ route: routeLabel });
+
+    const url = req.url;
+    // Copied now; forwarding deletes some of them
+    const requestHeaders =
+      logLevel === "detailed" || logLevel === "full" ? { ...req.headers } : undefined;
+    const span = tracer ? startRequestSpan(req, route) : null;
+
+    res.once("close", () => {
+      stats.inFlight--;
+      proxyMetrics.inFlight.dec({ route: routeLabel });
+      const upstream = req[UPSTREAM] || "none";
+      const bytesIn = socket.bytesRead - bytesRead;
+      const bytesOut = socket.bytesWritten - bytesWritten;
+      const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+      proxyMetrics.bytesIn.inc({ route: routeLabel, upstream }, bytesIn);
+      proxyMetrics.bytesOut.inc({ route: routeLabel, upstream }, bytesOut);
+      logger.logAccess({
+        requestId: req[REQUEST_ID],
+        method: req.method,
+        url,
+        route: route ? route.pattern : undefined,
+        upstream: req[UPSTREAM] || undefined,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        bytesIn,
+        bytesOut,
+        clientIp: req[CLIENT_IP],
+        userAgent: req.headers["user-agent"],
+        referer: req.headers.referer,
+        httpVersion: req.httpVersion,
+        cache: req[CACHE] ? req[CACHE].status : undefined,
+        user: req[AUTH] ? req[AUTH].user : undefined,
+        aborted: !res.writableFinished || undefined,
+        requestHeaders,
+      });
+      if (span) {
+        endRequestSpan(span, req, res);
+      }
+      if (!res.writableFinished) {
+        stats.aborted++;
+        return;
+      }
+      const statusClass = `${Math.floor(res.statusCode / 100)}xx`;
+      stats.responses[statusClass] = (stats.responses[statusClass] || 0) + 1;
+      const labels = {
+        route: routeLabel,
+        upstream,
+        method: methodLabel(req.method),
+        status_class: statusClass,
+      };
+      proxyMetrics.requests.inc(labels);
+      proxyMetrics.duration.observe(labels, durationMs / 1000);
+    });
+  }
+
+  // Attribute names follow the OpenTelemetry HTTP semantic conventions
+  function startRequestSpan(req, route) {
+    const [path, query] = req.url.split("?");
+    const span = tracer.startSpan(
+      route ? `${req.method} ${route.pattern}` : req.method,
+      req.headers.traceparent,
+      {
+        "http.request.method": req.method,
+        "http.route": route ? route.pattern : undefined,
+        "url.path": path,
+        "url.query": query,
+        "url.scheme": req.socket.encrypted ? "https" : "http",
+        "server.address": req.headers.host,
+        "client.address": req[CLIENT_IP],
+        "user_agent.original": req.headers["user-agent"],
+        "network.protocol.version": req.httpVersion,
+        "proxy.request_id": req[REQUEST_ID],
+      }
+    );
+    req[SPAN] = span;
+    return span;
+  }
+
+  function endRequestSpan(span, req, res) {
+    span.setAttribute("proxy.upstream.url", req[UPSTREAM]);
+    span.setAttribute("http.request.resend_count", req[RETRIES] || 0);
+    span.setAttribute("proxy.cache.status", req[CACHE] ? req[CACHE].status : undefined);
+    if (!res.writableFinished) {
+      span.setAttribute("proxy.aborted", true);
+    } else {
+      span.setAttribute("http.response.status_code", res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setError(`HTTP ${res.statusCode}`);
+      }
+    }
+    span.end();
+  }
+
+  function compiledRoutes() {
+    if (forwardAllRoute) return [forwardAllRoute];
+    return [
+      ...routeMatchers.map(({ route }) => route),
+      ...(defaultRoute ? [defaultRoute] : []),
+      ...hostTables.flatMap((table) => [
+        ...table.matchers.map(({ route }) => route),
+        ...(table.fallback ? [table.fallback] : []),
+      ]),
+    ];
+  }
+
+  // Pools with the routes using them, their load and upstream health
+  function getUpstreams() {
+    const health = healthChecker.snapshot();
+    const pools = new Map();
+    for (const route of compiledRoutes()) {
+      if (!route.pool) continue;
+      const entry = pools.get(route.pool) || { routes: [], pool: route.pool };
+      entry.routes.push(route.pattern);
+      pools.set(route.pool, entry);
+    }
+    return [...pools.values()].map(({ routes: patterns, pool }) => ({
+      routes: patterns,
+      strategy: pool.strategy,
+      concurrency: pool.concurrency,
+      queued: pool.queue.length,
+      targets: pool.targets.map((target) => ({
+        url: target.url,
+        weight: target.weight,
+        activeConnections: target.activeConnections,
+        ...(health[target.url] || { healthy: true }),
+        circuit: target.breaker ? target.breaker.snapshot() : null,
+        sockets: upstreamAgents.stats(target.url),
+      })),
+    }));
+  }
+
+  function getStats() {
+    return {
+      uptime: Math.floor((Date.now() - stats.startedAt) / 1000),
+      requests: {
+        total: stats.requests,
+        inFlight: stats.inFlight,
+        aborted: stats.aborted,
+        responses: { ...stats.responses },
+      },
+      upgrades: { total: stats.upgrades, active: stats.activeUpgrades },
+      cache: responseCache ? responseCache.getStats() : null,
+      faultsEnabled,
+      memory: process.memoryUsage().rss,
+    };
+  }
+
+  // Switches every route's fault rules on or off; returns the new state
+  function toggleFaults(enabled = !faultsEnabled) {
+    faultsEnabled = !!enabled;
+    logger.info(`Fault injection ${faultsEnabled ? "enabled" : "disabled"}`);
+    return faultsEnabled;
+  }
+
+  // Copy of a routes table with a route set, or removed when `value` is
+  // undefined
+  function withRoute(table, pattern, value, hostname) {
+    const next = { ...table };
+    if (!hostname) {
+      if (value === undefined) {
+        delete next[pattern];
+      } else {
+        next[pattern] = value;
+      }
+      return next;
+    }
+    const hosts = { ...(next.hosts || {}) };
+    const { [pattern]: _, ...rest } = hosts[hostname] || {};
+    hosts[hostname] = value === undefined ? rest : { ...rest, [pattern]: value };
+    // Drop host tables that are left empty
+    if (Object.keys(hosts[hostname]).length === 0) delete hosts[hostname];
+    next.hosts = hosts;
+    if (Object.keys(hosts).length === 0) delete next.hosts;
+    return next;
+  }
+
+  // The routes given here with the routes file's on top
+  function applySavedRoutes(saved) {
+    applyRoutes({ ...routes, ...saved });
+    savedRoutes = saved;
+  }
+
+  // Route edits copy the table and go through applyRoutes, so a bad route
+  // leaves the running table untouched
+  function setRoute(pattern, value, hostname = null) {
+    if (forwardAll) {
+      throw new Error("routes cannot be changed in forward-all mode");
+    }
+    if (pattern === "hosts") {
+      throw new Error(`"hosts" is reserved; pass the hostname separately`);
+    }
+    applyRoutes(withRoute(currentRoutes, pattern, value, hostname));
+    savedRoutes = withRoute(savedRoutes, pattern, value, hostname);
+  }
+
+  // Returns false when there is no such route
+  function deleteRoute(pattern, hostname = null) {
+    if (forwardAll) {
+      throw new Error("routes cannot be changed in forward-all mode");
+    }
+    const table = hostname ? currentRoutes.hosts && currentRoutes.hosts[hostname] : currentRoutes;
+    if (!table || pattern === "hosts" || !(pattern in table)) return false;
+    applyRoutes(withRoute(currentRoutes, pattern, undefined, hostname));
+    savedRoutes = withRoute(savedRoutes, pattern, undefined, hostname);
+    return true;
+  }
+
+  // Unlike reload(), errors are thrown to the caller
+  function reloadRoutesFile() {
+    if (!routesFile) {
+      throw new Error("no routes file configured");
+    }
+    const absolutePath = path.resolve(routesFile);
+    applySavedRoutes(JSON.parse(fs.readFileSync(absolutePath, "utf8")));
+  }
+
+  // Routes given to createProxyServer are left out unless the admin API
+  // changed them
+  function persistRoutes() {
+    if (!routesFile) {
+      throw new Error("no routes file configured");
+    }
+    fs.writeFileSync(
+      path.resolve(routesFile),
+      JSON.stringify(savedRoutes, null, 2) + "\n"
+    );
+    logger.info(`Routes saved to: ${routesFile}`);
   }
 
   function loadRoutesFromFile(filePath) {
@@ -63,34 +804,50 @@ function createProxyServer(config = {}) {
     }
   }
 
-  function createServer() {
+  // Send plain HTTP requests to the same host and path on the HTTPS port
+  function redirectToHttps(req, res) {
+    const hostname = normalizeHostname(req.headers.host) || host;
+    const portSuffix = port === 443 ? "" : `:${port}`;
+    const location = `https://${hostname}${portSuffix}${req.url}`;
+    if (verbose) {
+      logger.info(`Redirecting to HTTPS: ${req.url} -> ${location}`);
+    }
+    res.writeHead(307, "Temporary Redirect", { Location: location });
+    res.end();
+  }
+
+  function createServer(tlsOptions) {
     if (server) {
       server.close();
     }
-
-    // Only compile route matchers if not using forwardAll
-    if (!forwardAll) {
-      routeMatchers = compileRouteMatchers(currentRoutes);
+    if (httpServer) {
+      httpServer.close();
+      httpServer = null;
     }
 
     const proxy = httpProxy.createProxyServer({
       changeOrigin: changeOrigin,
       preserveHeaderKeyCase: true,
       xfwd: true,
-      secure: false,
       timeout: 60_000,
       proxyTimeout: 60_000,
     });
 
-    // Tweak upstream request headers to reduce resets
+    // Tweak upstream request headers
     proxy.on("proxyReq", (proxyReq, req, res, options) => {
+      req[UPSTREAM_REQUEST] = proxyReq;
       try {
-        // Only set Connection: close if the original request doesn't have keep-alive
-        if (!req.headers.connection || req.headers.connection !== 'keep-alive') {
-          proxyReq.setHeader("Connection", "close");
+        proxyReq.setHeader(REQUEST_ID_HEADER, req[REQUEST_ID]);
+        // The upstream continues the proxy's trace
+        if (req[SPAN]) {
+          proxyReq.setHeader("traceparent", formatTraceparent(req[SPAN]));
         }
+        // Connection is hop-by-hop: whether the upstream connection is kept
+        // for another request is up to its agent, not the client
+        const reusable = !!(options && options.agent && options.agent.keepAlive);
+        proxyReq.setHeader("Connection", reusable ? "keep-alive" : "close");
         // Rewrite Origin/Referer/Host to target origin when changeOrigin
-        if (options && options.target && changeOrigin) {
+        if (options && options.target && options.changeOrigin) {
           try {
             const t = new URL(
               typeof options.target === "string"
@@ -107,13 +864,100 @@ function createProxyServer(config = {}) {
         if (!proxyReq.getHeader("accept-encoding")) {
           proxyReq.setHeader("Accept-Encoding", "identity");
         }
+        if (req[ROUTE]) {
+          applyRouteRequestHeaders(proxyReq, req[ROUTE]);
+        }
+        if (req[ROUTE] && req[ROUTE].auth) {
+          applyAuthHeaders(proxyReq, req, req[ROUTE]);
+        }
+        if (req[CACHE]) {
+          applyCacheRequestHeaders(proxyReq, req[CACHE]);
+        }
+        if (req[REQUEST_BODY]) {
+          proxyReq.setHeader("Content-Length", req[REQUEST_BODY].length);
+          proxyReq.removeHeader("Transfer-Encoding");
+        }
       } catch (_) {}
+      if (req[PLUGINS]) {
+        try {
+          runHooksSync(loadedPlugins, "onProxyReq", [proxyReq, req, req[PLUGINS]]);
+        } catch (error) {
+          // Reported through the proxy.web callback
+          proxyReq.destroy(error);
+        }
+      }
+    });
+
+    proxy.on("proxyReqWs", (proxyReq, req) => {
+      // The upstream's answer to an upgrade feeds its circuit breaker
+      proxyReq.once("upgrade", () => recordCircuitResult(req, { status: 101 }));
+      proxyReq.once("response", (response) => {
+        recordCircuitResult(req, { status: response.statusCode });
+      });
+      try {
+        proxyReq.setHeader(REQUEST_ID_HEADER, req[REQUEST_ID]);
+        if (req[ROUTE]) {
+          applyRouteRequestHeaders(proxyReq, req[ROUTE]);
+        }
+        if (req[ROUTE] && req[ROUTE].auth) {
+          applyAuthHeaders(proxyReq, req, req[ROUTE]);
+        }
+      } catch (_) {}
+    });
+
+    proxy.on("proxyRes", (proxyRes, req) => {
+      // Any upstream response counts as a passive health check success
+      if (req[UPSTREAM]) {
+        healthChecker.recordSuccess(req[UPSTREAM]);
+        recordCircuitResult(req, { status: proxyRes.statusCode });
+      }
+      // The client gets back the id the upstream was sent
+      proxyRes.headers[REQUEST_ID_HEADER] = req[REQUEST_ID];
+      const route = req[ROUTE];
+      filterUpstreamCorsHeaders(route ? route.cors : globalCorsPolicy, proxyRes.headers);
+      if (route) {
+        for (const [name, value] of Object.entries(route.addResponseHeaders)) {
+          proxyRes.headers[name.toLowerCase()] = value;
+        }
+      }
+      if (route && route.cookies) {
+        const rewritten = rewriteCookies(proxyRes.headers, route.cookies, !req.socket.encrypted);
+        if (rewritten.length > 0) {
+          logger.logCookieRewrite(req[REQUEST_ID], rewritten);
+        }
+      }
+    });
+
+    // Cacheable requests, responses that plugins see and attempts that may
+    // be retried on their status are proxied with selfHandleResponse and
+    // answered here, after the listener above has finished editing the
+    // upstream headers
+    proxy.on("proxyRes", (proxyRes, req, res) => {
+      if (req[RETRY_RESPONSE] && req[RETRY_RESPONSE](proxyRes)) {
+        return;
+      }
+      if (pluginsHandleResponse(req)) {
+        respondThroughPlugins(proxyRes, req, res);
+        return;
+      }
+      if (req[CACHE]) {
+        handleCacheableResponse(proxyRes, req, res, req[CACHE]);
+        return;
+      }
+      if (req[RETRY_RESPONSE]) {
+        res.writeHead(
+          proxyRes.statusCode,
+          proxyRes.statusMessage,
+          stripHopByHopHeaders(proxyRes.headers)
+        );
+        proxyRes.pipe(res);
+      }
     });
 
     // Prevent crashes on proxy emitter errors
     proxy.on("error", (err, req, res) => {
       try {
-        const requestId = Math.random().toString(36).substring(2, 15);
+        const requestId = (req && req[REQUEST_ID]) || createRequestId();
         logger.logError(
           requestId,
           err,
@@ -124,7 +968,9 @@ function createProxyServer(config = {}) {
         if (verbose) {
           logger.error(`Proxy error details: ${err.code || 'unknown'} - ${err.message}`);
           if (req && req.headers) {
-            logger.error(`Request headers: ${JSON.stringify(req.headers)}`);
+            // Credentials are masked, as in the access log
+            const headers = redactHeaders(req.headers, logger.redact);
+            logger.error(`Request headers: ${JSON.stringify(headers)}`);
           }
         }
         
@@ -137,72 +983,435 @@ function createProxyServer(config = {}) {
       } catch (_) {}
     });
 
-    server = http.createServer((req, res) => {
-      const origin = req.headers.origin;
+    const handleRequest = (req, res) => {
+      if (metricsConfig && !metricsConfig.port && isMetricsRequest(req)) {
+        serveMetrics(proxyMetrics.registry, res);
+        return;
+      }
+      // Determine target based on configuration
+      const { route, matchedRoute } = resolveTarget(req);
+      // Before the URL is logged anywhere
+      if (route && route.auth) takeQueryKeys(route.auth, req);
+      req[REQUEST_ID] = resolveRequestId(req);
+      req[CLIENT_IP] = resolveClientIp(req, globalGuards.trustedProxies);
+      res.setHeader(REQUEST_ID_HEADER, req[REQUEST_ID]);
+      trackRequest(req, res, route);
+
+      const rejection = checkRequest(req, globalGuards, route);
+      if (rejection) {
+        rejectRequest(req, res, route, rejection);
+        return;
+      }
+
       // Only add CORS headers if there's an origin header (browser request)
-      if (origin) {
-        res.setHeader("Access-Control-Allow-Origin", origin);
-        res.setHeader(
-          "Access-Control-Allow-Methods",
-          "GET, POST, PUT, PATCH, DELETE, OPTIONS"
-        );
-        const requestedHeaders = req.headers["access-control-request-headers"];
-        if (requestedHeaders) {
-          res.setHeader("Access-Control-Allow-Headers", requestedHeaders);
-        } else {
-          res.setHeader(
-            "Access-Control-Allow-Headers",
-            "Content-Type, Authorization, Channel, hiddify-api-key, X-Requested-With"
-          );
+      const origin = req.headers.origin;
+      const corsPolicy = route ? route.cors : globalCorsPolicy;
+      if (origin && corsPolicy.mode === "proxy") {
+        const originAllowed = applyCorsHeaders(corsPolicy, req, res);
+        if (isPreflight(req)) {
+          const requestId = req[REQUEST_ID];
+          if (!originAllowed) {
+            logger.logCorsRejected(requestId, origin, req.url);
+            res.writeHead(403, "Forbidden", { "Content-Type": "text/plain" });
+            res.end("CORS origin not allowed");
+            return;
+          }
+          logger.logCorsPreflight(requestId, origin);
+          res.writeHead(204, "No Content");
+          res.end();
+          return;
+        }
+        if (!originAllowed && verbose) {
+          logger.warning(`CORS origin not allowed, no CORS headers sent: ${origin}`);
         }
-        res.setHeader("Access-Control-Allow-Credentials", "true");
-        res.setHeader("Access-Control-Max-Age", "86400");
-        res.setHeader("Vary", "Origin, Access-Control-Request-Headers");
       }
-      if (req.method === "OPTIONS") {
-        const requestId = Math.random().toString(36).substring(2, 15);
-        logger.logCorsPreflight(requestId);
-        res.writeHead(204, "No Content");
-        res.end();
+
+      // Route methods, or the global guard's for routes without their own
+      const methods = route && route.methods ? route.methods : globalGuards.methods;
+      if (methods && !methods.includes(req.method)) {
+        logger.logMethodNotAllowed(req[REQUEST_ID], req.method, req.url);
+        proxyMetrics.rejected.inc({
+          route: route ? route.pattern : "none",
+          reason: "method_not_allowed",
+        });
+        res.writeHead(405, "Method Not Allowed", {
+          "Content-Type": "text/plain",
+          Allow: methods.join(", "),
+        });
+        res.end("Method not allowed");
         return;
       }
 
-      // Determine target based on configuration
-      let target = null;
-      let matchedRoute = null;
+      if (route && !limitRequest(req, res, route, route.rateLimiters)) {
+        return;
+      }
 
-      if (forwardAll) {
-        // Forward all traffic to the specified target
-        target = forwardAll;
-        matchedRoute = "* (forwardAll)";
-      } else {
-        // Find matching route using path-to-regexp
-        for (const { matcher, target: t, pattern } of routeMatchers) {
-          if (matcher(req.url)) {
-            target = t;
-            matchedRoute = pattern;
-            break;
+      if (route && route.auth) {
+        authenticateRequest(req, res, route).then((passed) => {
+          if (passed && limitRequest(req, res, route, route.authRateLimiters)) {
+            admitRequest(req, res, route, matchedRoute);
           }
+        });
+        return;
+      }
+      admitRequest(req, res, route, matchedRoute);
+    };
+
+    // Takes a token from each limit, or answers 429 and returns false. The
+    // headers report the limit with the least left over both checks.
+    const limitRequest = (req, res, route, limiters) => {
+      if (limiters.length === 0) return true;
+      const limit = checkRateLimits(limiters, req);
+      const reported = res.getHeader("RateLimit-Remaining");
+      if (!limit.allowed || reported === undefined || limit.remaining < Number(reported)) {
+        setRateLimitHeaders(res, limit);
+      }
+      if (limit.allowed) return true;
+      logger.logRateLimited(req[REQUEST_ID], req.url, `retry after ${limit.retryAfter}s`);
+      proxyMetrics.rejected.inc({ route: route.pattern, reason: "rate_limited" });
+      res.writeHead(429, "Too Many Requests", { "Content-Type": "text/plain" });
+      res.end("Too many requests");
+      return false;
+    };
+
+    // Answers a request refused by the guards (see guards.js) or an open circuit
+    const rejectRequest = (req, res, route, rejection) => {
+      logger.logRejected(req[REQUEST_ID], req.method, req.url, rejection.status, rejection.reason);
+      proxyMetrics.rejected.inc({
+        route: route ? route.pattern : "none",
+        reason: rejection.code,
+      });
+      const statusText = http.STATUS_CODES[rejection.status];
+      res.writeHead(rejection.status, statusText, {
+        "Content-Type": "text/plain",
+        ...rejection.headers,
+      });
+      res.end(statusText);
+    };
+
+    // Resolves to whether the request may continue; rejections are answered
+    const authenticateRequest = (req, res, route) =>
+      authenticate(route.auth, req).then(
+        (result) => {
+          if (result.ok) {
+            req[AUTH] = result;
+            return !res.destroyed;
+          }
+          logger.logAuthRejected(req[REQUEST_ID], req.method, req.url, result.status, result.reason);
+          const unauthorized = result.status === 401;
+          res.writeHead(result.status, unauthorized ? "Unauthorized" : "Forbidden", {
+            "Content-Type": "text/plain",
+            ...(result.challenge ? { "WWW-Authenticate": result.challenge } : {}),
+          });
+          res.end(unauthorized ? "Unauthorized" : "Forbidden");
+          return false;
+        },
+        (error) => {
+          logger.logError(req[REQUEST_ID], error, req.url);
+          res.writeHead(500, "Internal Server Error", { "Content-Type": "text/plain" });
+          res.end("Authentication failed");
+          return false;
         }
-        // If no specific match, use wildcard default if available
-        if (!target && defaultTarget) {
-          target = defaultTarget;
-          matchedRoute = "* (wildcard)";
+      );
+
+    // Past the route's checks: a body of unknown length is read up to the
+    // size limit, then faults, then plugins, then dispatch
+    const admitRequest = (req, res, route, matchedRoute) => {
+      const maxBodySize = bodyLimit(globalGuards, route);
+      if (maxBodySize && hasUnknownLength(req)) {
+        readLimitedBody(req, maxBodySize).then(
+          (body) => {
+            req[REQUEST_BODY] = body;
+            if (!res.destroyed) applyFaults(req, res, route, matchedRoute);
+          },
+          (error) => {
+            if (error.status) {
+              rejectRequest(req, res, route, {
+                status: error.status,
+                code: error.code,
+                reason: error.message,
+              });
+            } else {
+              res.destroy();
+            }
+          }
+        );
+        return;
+      }
+      applyFaults(req, res, route, matchedRoute);
+    };
+
+    const applyFaults = (req, res, route, matchedRoute) => {
+      const plan = faultsEnabled && route ? pickFaults(route.faults) : null;
+      if (plan) {
+        const applied = describeFaults(plan);
+        logger.logFault(req[REQUEST_ID], req.method, req.url, applied);
+        for (const fault of applied) {
+          proxyMetrics.faults.inc({ route: route.pattern, fault: fault.split(" ")[0] });
         }
+        injectFaults(req, res, plan, () => runRequestPlugins(req, res, route, matchedRoute));
+        return;
+      }
+      runRequestPlugins(req, res, route, matchedRoute);
+    };
+
+    // Plugins see the request first and may answer it or rewrite its body
+    const runRequestPlugins = (req, res, route, matchedRoute) => {
+      if (loadedPlugins.length === 0) {
+        dispatchRequest(req, res, route, matchedRoute);
+        return;
       }
+      const context = createPluginContext(req, {
+        requestId: req[REQUEST_ID],
+        route: route ? route.pattern : null,
+        upstream: () => req[UPSTREAM] || null,
+      });
+      req[PLUGINS] = context;
+      const answered = () => res.headersSent || res.writableEnded || res.destroyed;
+      runHooks(loadedPlugins, "onRequest", [req, res, context], answered)
+        .then(() => {
+          if (answered()) return;
+          return transformRequest(req, context.requestTransforms, req[REQUEST_BODY]).then((body) => {
+            if (answered()) return;
+            if (body) req[REQUEST_BODY] = body;
+            dispatchRequest(req, res, route, matchedRoute);
+          });
+        })
+        .catch((error) => handlePluginError(error, req, res));
+    };
+
+    // onError hooks run before the proxy's own error response; a hook that
+    // answers the request replaces it
+    const notifyPlugins = (error, req, res) =>
+      runHooks(loadedPlugins, "onError", [error, req, res, req[PLUGINS]]).catch(
+        (hookError) => logger.logError(req[REQUEST_ID], hookError, req.url)
+      );
+
+    const handlePluginError = (error, req, res) => {
+      logger.logError(req[REQUEST_ID], error, req.url);
+      notifyPlugins(error, req, res).then(() => {
+        if (res.writableEnded) return;
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        // Oversized bodies carry their own status
+        const status = error.status || 500;
+        res.writeHead(status, { "Content-Type": "text/plain" });
+        res.end(error.status ? error.message : "Plugin error");
+      });
+    };
+
+    const pluginsHandleResponse = (req) =>
+      !!req[PLUGINS] &&
+      (loadedPlugins.some((plugin) => plugin.onProxyRes) ||
+        req[PLUGINS].responseTransforms.length > 0);
+
+    // Runs onProxyRes hooks and body transforms, then sends the response
+    // (through the cache when the route caches)
+    const respondThroughPlugins = (proxyRes, req, res) => {
+      const context = req[PLUGINS];
+      runHooks(loadedPlugins, "onProxyRes", [proxyRes, req, context])
+        .then(() => transformResponse(proxyRes, req, context.responseTransforms))
+        .then((response) => {
+          if (req[CACHE]) {
+            handleCacheableResponse(response, req, res, req[CACHE]);
+            return;
+          }
+          res.writeHead(
+            response.statusCode,
+            response.statusMessage,
+            stripHopByHopHeaders(response.headers)
+          );
+          response.pipe(res);
+        })
+        .catch((error) => {
+          proxyRes.resume();
+          handlePluginError(error, req, res);
+        });
+    };
+
+    // Hands an admitted request to a recording, a local target or an upstream
+    const dispatchRequest = (req, res, route, matchedRoute) => {
+      if (replayer && replayFromRecording(req, res)) {
+        return;
+      }
+      if (route && route.local) {
+        serveLocalRoute(req, res, route);
+        return;
+      }
+
+      const pool = route ? route.pool : null;
+      // Bodies that may have to be sent again, for a retry or after a stale
+      // upstream connection, are read before an upstream slot is taken
+      if (
+        pool &&
+        !req[REQUEST_BODY] &&
+        ((route.retry && needsBodyBuffer(route.retry, req)) || upstreamAgents.keepsBody(req))
+      ) {
+        readLimitedBody(req, Number(req.headers["content-length"])).then(
+          (body) => {
+            req[REQUEST_BODY] = body;
+            if (!res.destroyed) dispatchRequest(req, res, route, matchedRoute);
+          },
+          () => res.destroy()
+        );
+        return;
+      }
+      const upstream = pool ? pool.acquire(req, isUpstreamAvailable) : null;
+      if (!upstream && pool && pool.isCircuitOpen()) {
+        rejectRequest(req, res, route, {
+          status: 503,
+          code: "circuit_open",
+          reason: "circuit open for every upstream",
+          headers: { "Retry-After": String(pool.circuitRetryAfter()) },
+        });
+        return;
+      }
+      if (!upstream && pool && pool.isAtCapacity(isUpstreamAvailable)) {
+        queueRequest(req, res, route, matchedRoute);
+        return;
+      }
+      forwardRequest(req, res, route, matchedRoute, upstream);
+    };
+
+    // `result` is { status }, { error }, or null for a request the client gave
+    // up on; see circuit-breaker.js
+    const recordCircuitResult = (req, result) => {
+      const route = req[ROUTE];
+      if (!route || !route.pool || !route.pool.circuitBreaker) return;
+      if (result) req[CIRCUIT_RECORDED] = true;
+      route.pool.recordResult(req[UPSTREAM], result);
+    };
+
+    // Mock responses and static files, answered without proxy.web
+    const serveLocalRoute = (req, res, route) => {
+      const originalUrl = req.url;
+      req[UPSTREAM] = route.local.label;
+      req[ROUTE] = route;
+      logger.logRequest(req[REQUEST_ID], req.method, originalUrl, route.local.label);
+      res.once("finish", () => {
+        logger.logResponse(
+          req[REQUEST_ID],
+          res.statusCode,
+          res.statusMessage,
+          null,
+          null,
+          originalUrl
+        );
+      });
+      serveLocalTarget(
+        req,
+        res,
+        route.local,
+        rewritePath(req.url, route.pathRewrite),
+        route.addResponseHeaders
+      );
+    };
+
+    // Returns whether the request was answered without the upstream
+    const replayFromRecording = (req, res) => {
+      const entry = replayer.match(req);
+      if (entry) {
+        logger.logReplay(req[REQUEST_ID], req.method, req.url, true);
+        replayer.serve(req, res, entry);
+        return true;
+      }
+      if (!isRouteObject(replay) || !replay.strict) {
+        return false;
+      }
+      logger.logReplay(req[REQUEST_ID], req.method, req.url, false);
+      res.writeHead(404, "Not Found", { "Content-Type": "text/plain" });
+      res.end("Not in recording");
+      return true;
+    };
+
+    // Every upstream of the route is at its concurrency limit: wait for a slot
+    const queueRequest = (req, res, route, matchedRoute) => {
+      const { queueTimeout } = route.pool.concurrency;
+      const rejectBusy = (reason) => {
+        logger.logRateLimited(req[REQUEST_ID], req.url, reason);
+        res.writeHead(503, "Service Unavailable", {
+          "Content-Type": "text/plain",
+          "Retry-After": String(Math.ceil(queueTimeout / 1000)),
+        });
+        res.end("Upstream busy");
+      };
+
+      const cancel = route.pool.waitForTarget(
+        req,
+        isUpstreamAvailable,
+        (error, upstream) => {
+          res.off("close", cancel);
+          if (error) {
+            rejectBusy(error.message);
+            return;
+          }
+          forwardRequest(req, res, route, matchedRoute, upstream);
+        }
+      );
+      if (!cancel) {
+        rejectBusy("upstream queue is full");
+        return;
+      }
+      res.on("close", cancel);
+    };
+
+    const forwardRequest = (req, res, route, matchedRoute, upstream) => {
+      const pool = route ? route.pool : null;
+      // Both change when a retry fails over to another upstream
+      let target = upstream ? upstream.url : null;
+      const originalUrl = req.url;
+      req[UPSTREAM] = target;
+      req[ROUTE] = route;
+      // Keyed on the Host header, which may be removed further down
+      const cacheKey =
+        route && route.cache
+          ? getResponseCache().primaryKey(req, originalUrl)
+          : null;
 
       if (verbose) {
         logger.info(`Route matching: ${req.url} -> ${matchedRoute || 'no match'} -> ${target || 'no target'}`);
       }
 
       if (!target) {
-        const requestId = Math.random().toString(36).substring(2, 15);
-        logger.logRouteNotFound(requestId, req.url);
+        logger.logRouteNotFound(req[REQUEST_ID], req.url);
         res.writeHead(404, "Not Found", { "Content-Type": "text/plain" });
         res.end("Not found");
         return;
       }
 
+      const policy = route.retry;
+      // Only requests without a body, or with one kept in memory, can be sent
+      // again. Checked before Content-Length is dropped below.
+      const replayable =
+        !!policy && policy.methods.includes(req.method) && (!hasBody(req) || !!req[REQUEST_BODY]);
+      const tried = new Set(); // upstreams that failed this request
+      // A body streamed from the client cannot be sent twice, so it never
+      // goes out on a pooled connection that may turn out to be stale
+      const reuseConnection = !hasBody(req) || !!req[REQUEST_BODY];
+      let staleRetried = false;
+
+      if (recorder) {
+        recorder.record(req, res, {
+          url: originalUrl,
+          requestId: req[REQUEST_ID],
+          upstream: target,
+          body: req[REQUEST_BODY],
+        });
+      }
+
+      let released = false;
+      const releaseUpstream = () => {
+        if (released) return;
+        released = true;
+        // A half-open circuit gets its trial slot back
+        if (!req[CIRCUIT_RECORDED]) recordCircuitResult(req, null);
+        pool.release(upstream);
+      };
+      res.on("finish", releaseUpstream);
+      res.on("close", releaseUpstream);
+
       if (verbose) {
         logger.info(`Proxying request to: ${target}${req.url}`);
       }
@@ -210,33 +1419,40 @@ function createProxyServer(config = {}) {
       if (preserveHeaders) {
         // Only delete headers that could cause conflicts, but preserve important ones
         delete req.headers["host"];
-        // Don't delete connection header if it's explicitly set
-        if (!req.headers.connection) {
-          delete req.headers["connection"];
-        }
         delete req.headers["content-length"];
       }
 
-      const requestId = Math.random().toString(36).substring(2, 15);
+      const requestId = req[REQUEST_ID];
       const headers =
         logLevel === "detailed" || logLevel === "full" ? req.headers : null;
-      let body = null;
+      let body =
+        logLevel === "full" && req[REQUEST_BODY]
+          ? describeBody(req[REQUEST_BODY], req[REQUEST_BODY].length)
+          : null;
       if (
         logLevel === "full" &&
-        ["POST", "PUT", "PATCH"].includes(req.method)
+        ["POST", "PUT", "PATCH"].includes(req.method) &&
+        !req[REQUEST_BODY]
       ) {
+        // Only the start of the body is kept, however much is sent
         let bodyChunks = [];
+        let kept = 0;
+        let size = 0;
         req.on("data", (chunk) => {
-          bodyChunks.push(chunk);
+          size += chunk.length;
+          if (kept < MAX_LOGGED_BODY) {
+            bodyChunks.push(chunk);
+            kept += chunk.length;
+          }
         });
         req.on("end", () => {
           if (bodyChunks.length > 0) {
-            body = Buffer.concat(bodyChunks).toString();
+            body = describeBody(Buffer.concat(bodyChunks), size);
           }
           logger.logRequest(
             requestId,
             req.method,
-            req.url,
+            originalUrl,
             target,
             headers,
             body
@@ -246,7 +1462,7 @@ function createProxyServer(config = {}) {
         logger.logRequest(
           requestId,
           req.method,
-          req.url,
+          originalUrl,
           target,
           headers,
           body
@@ -257,14 +1473,17 @@ function createProxyServer(config = {}) {
       const originalEnd = res.end;
 
       res.writeHead = function (statusCode, statusMessage, headers) {
-        const responseHeaders = logLevel === "full" ? headers : null;
+        // writeHead(status, headers) leaves out the status message
+        const hasMessage = typeof statusMessage === "string";
+        const responseHeaders =
+          logLevel === "full" ? (hasMessage ? headers : statusMessage) : null;
         logger.logResponse(
           requestId,
           statusCode,
-          statusMessage,
+          hasMessage ? statusMessage : null,
           responseHeaders,
           null,
-          req.url
+          originalUrl
         );
         return originalWriteHead.apply(this, arguments);
       };
@@ -278,86 +1497,488 @@ function createProxyServer(config = {}) {
             null,
             null,
             responseBody,
-            req.url
+            originalUrl
           );
         }
         return originalEnd.apply(this, arguments);
       };
 
-      // Choose agent based on target protocol
-      const useHttps =
-        typeof target === "string" ? target.startsWith("https") : false;
-      const agent = useHttps ? httpsAgent : httpAgent;
-
-      if (verbose && useHttps) {
-        logger.info(`Using HTTPS agent for target: ${target}`);
-        logger.info(`HTTPS agent options: ${JSON.stringify(httpsAgent.options)}`);
+      req.url = rewritePath(req.url, route.pathRewrite);
+      if (verbose && req.url !== originalUrl) {
+        logger.info(`Path rewritten: ${originalUrl} -> ${req.url}`);
       }
 
-      // Avoid duplicating path segments when target already has a pathname
-      let prependPath = true;
-      try {
-        if (typeof target === "string") {
-          const parsed = new URL(target);
-          const basePath = parsed.pathname || "/";
-          if (basePath !== "/" && req.url.startsWith(basePath)) {
-            prependPath = false;
+      // Agent and path handling for the upstream of each attempt
+      const upstreamOptions = (target, reuse) => {
+        // Choose agent based on target origin and the route's TLS settings
+        const agent = getUpstreamAgent(route, target, { reuse });
+        if (verbose && target.startsWith("https")) {
+          logger.info(`Using HTTPS agent for target: ${target}`);
+          logger.info(`Upstream TLS settings: ${JSON.stringify(route.upstream.tls)}`);
+        }
+
+        // Avoid duplicating path segments when target already has a pathname
+        let prependPath = true;
+        try {
+          if (route.prependPath !== undefined) {
+            prependPath = route.prependPath;
+          } else if (typeof target === "string") {
+            const parsed = new URL(target);
+            const basePath = parsed.pathname || "/";
+            if (basePath !== "/" && req.url.startsWith(basePath)) {
+              prependPath = false;
+            }
           }
+        } catch (_) {}
+        return { agent, prependPath };
+      };
+
+      // Starts the next attempt after a backoff, on another upstream of the
+      // route when there is one. Returns false when the request cannot be
+      // retried, so the caller answers with what it has.
+      const retryRequest = (reason) => {
+        const retries = req[RETRIES] || 0;
+        if (!replayable || retries + 1 >= policy.attempts || res.headersSent) {
+          return false;
         }
-      } catch (_) {}
+        tried.add(target);
+        const next = pool.acquire(req, (url) => !tried.has(url) && isUpstreamAvailable(url));
+        if (!next && upstream.breaker && !upstream.breaker.isAllowed()) {
+          return false; // the only upstream left has just opened its circuit
+        }
+        if (next) {
+          pool.release(upstream);
+          upstream = next;
+          target = next.url;
+          req[UPSTREAM] = target;
+        }
+        req[RETRIES] = retries + 1;
+        req[CIRCUIT_RECORDED] = false;
+        staleRetried = false;
+        proxyMetrics.retries.inc({ route: route.pattern, upstream: target });
+        const delay = retryDelay(policy, req[RETRIES]);
+        logger.logRetry(requestId, originalUrl, {
+          attempt: req[RETRIES] + 1,
+          attempts: policy.attempts,
+          reason,
+          upstream: target,
+          delay,
+        });
+        setTimeout(() => {
+          if (!res.destroyed && !res.writableEnded) doProxy();
+        }, delay);
+        return true;
+      };
 
-      // One-time retry on ECONNRESET (idempotent methods only)
-      const canRetry = ["GET", "HEAD", "OPTIONS"].includes(req.method || "GET");
-      const RETRIED = Symbol.for("__frp_retried__");
+      // Upstream responses with a retryable status are drained and retried
+      const retryResponse = (proxyRes) => {
+        if (!isRetryableStatus(policy, proxyRes.statusCode)) return false;
+        if (!retryRequest(`status ${proxyRes.statusCode}`)) return false;
+        proxyRes.resume();
+        return true;
+      };
 
-      const doProxy = () => {
+      // A request that hit a pooled connection the upstream had just closed
+      // goes out again at once on a new connection. It does not use up an
+      // attempt and does not count against the upstream.
+      const retryStaleConnection = (err) => {
+        if (staleRetried || res.headersSent || !isStaleSocketError(err, req[UPSTREAM_REQUEST])) {
+          return false;
+        }
+        staleRetried = true;
+        proxyMetrics.staleConnections.inc({ upstream: target });
+        if (verbose) {
+          logger.info(`Stale connection to ${target} (${err.code}), sending ${originalUrl} again`);
+        }
+        doProxy(false);
+        return true;
+      };
+
+      const doProxy = (reuse = reuseConnection) => {
+        const { agent, prependPath } = upstreamOptions(target, reuse);
+        const retriesLeft = replayable && (req[RETRIES] || 0) + 1 < policy.attempts;
+        req[RETRY_RESPONSE] = retriesLeft && policy.statuses.length > 0 ? retryResponse : null;
         proxy.web(
           req,
           res,
           {
             target,
-            changeOrigin: changeOrigin,
+            changeOrigin:
+              route.changeOrigin !== undefined ? route.changeOrigin : changeOrigin,
+            secure: route.upstream.tls.verify,
             agent,
-            timeout: 60_000,
-            proxyTimeout: 60_000,
+            timeout: route.timeout || 60_000,
+            proxyTimeout: route.timeout || 60_000,
             prependPath,
+            selfHandleResponse:
+              !!req[CACHE] || pluginsHandleResponse(req) || !!req[RETRY_RESPONSE],
+            // A buffered or rewritten body is sent again on every attempt
+            buffer: req[REQUEST_BODY] ? Readable.from([req[REQUEST_BODY]]) : undefined,
           },
           (err) => {
-            if (err && err.code === "ECONNRESET" && canRetry && !req[RETRIED]) {
-              req[RETRIED] = true;
-              return doProxy();
+            // An onProxyReq hook threw
+            if (err && err.hook) {
+              handlePluginError(err, req, res);
+              return;
             }
-            logger.logError(requestId, err, req.url);
-            if (!res.headersSent) {
-              res.writeHead(502, "Bad Gateway", {
-                "Content-Type": "text/plain",
-              });
+            if (retryStaleConnection(err)) {
+              return;
             }
-            if (res.writable) {
-              res.end("Proxy error");
+            healthChecker.recordFailure(target, err);
+            recordCircuitResult(req, { error: err || new Error("upstream error") });
+            proxyMetrics.upstreamErrors.inc({
+              route: route.pattern,
+              upstream: target,
+              code: (err && err.code) || "unknown",
+            });
+            if (
+              policy &&
+              isRetryableError(policy, err) &&
+              retryRequest(err.code)
+            ) {
+              return;
             }
+            // Better a stale copy than an error page
+            const context = req[CACHE];
+            if (context && context.entry && !res.headersSent) {
+              finishCacheLookup(context, "STALE");
+              serveFromCache(req, res, responseCache, context.entry, "STALE");
+              return;
+            }
+            logger.logError(requestId, err, originalUrl);
+            const sendBadGateway = () => {
+              if (!res.headersSent) {
+                res.writeHead(502, "Bad Gateway", {
+                  "Content-Type": "text/plain",
+                });
+              }
+              if (res.writable) {
+                res.end("Proxy error");
+              }
+            };
+            if (req[PLUGINS]) {
+              notifyPlugins(err, req, res).then(sendBadGateway);
+              return;
+            }
+            sendBadGateway();
           }
         );
       };
 
-      doProxy();
-    });
+      if (!cacheKey) {
+        doProxy();
+        return;
+      }
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        // A successful unsafe request invalidates what is stored for the URL
+        res.on("finish", () => {
+          if (res.statusCode < 400) {
+            responseCache.delete(cacheKey);
+          }
+        });
+        doProxy();
+        return;
+      }
+      if (parseCacheControl(req.headers["cache-control"])["no-store"]) {
+        doProxy();
+        return;
+      }
 
-    // Prevent server from exiting on client parsing errors
-    server.on("clientError", (err, socket) => {
-      try {
-        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
-      } catch (_) {}
-    });
+      responseCache.lookup(cacheKey, req).then(
+        (entry) => {
+          const context = {
+            key: cacheKey,
+            entry,
+            revalidating: false,
+            ttl: route.cache.ttl,
+            requestId,
+            url: originalUrl,
+            route: route.pattern,
+          };
+          req[CACHE] = context;
+          if (entry && responseCache.isFresh(entry, req)) {
+            finishCacheLookup(context, "HIT");
+            serveFromCache(req, res, responseCache, entry, "HIT");
+            return;
+          }
+          // Stale entries with a validator are revalidated instead of refetched
+          context.revalidating = !!entry && responseCache.canRevalidate(entry);
+          doProxy();
+        },
+        () => doProxy()
+      );
+    };
 
-    server.on("error", (err) => {
+    // WebSocket / HTTP Upgrade requests (e.g. HMR) go through the same routes
+    const handleUpgrade = (req, socket, head) => {
+      const requestId = resolveRequestId(req);
+      req[REQUEST_ID] = requestId;
+      stats.upgrades++;
+      stats.activeUpgrades++;
+      socket.once("close", () => stats.activeUpgrades--);
+      const { route, matchedRoute } = resolveTarget(req);
+      if (route && route.auth) takeQueryKeys(route.auth, req);
+      req[CLIENT_IP] = resolveClientIp(req, globalGuards.trustedProxies);
+      // http-proxy only carries WebSocket upgrades and drops any other
+      // connection without a word, so those are refused here instead
+      const upgrade = String(req.headers.upgrade || "").toLowerCase();
+      const rejection =
+        req.method !== "GET" || upgrade !== "websocket"
+          ? {
+              status: 501,
+              code: "upgrade_not_supported",
+              reason: `upgrade to "${req.headers.upgrade}"; only WebSocket upgrades over GET are proxied`,
+            }
+          : checkRequest(req, globalGuards, route);
+      if (rejection) {
+        logger.logRejected(requestId, req.method, req.url, rejection.status, rejection.reason);
+        proxyMetrics.rejected.inc({
+          route: route ? route.pattern : "none",
+          reason: rejection.code,
+        });
+        try {
+          socket.end(
+            `HTTP/1.1 ${rejection.status} ${http.STATUS_CODES[rejection.status]}\r\nX-Request-ID: ${requestId}\r\nConnection: close\r\n\r\n`
+          );
+        } catch (_) {}
+        return;
+      }
+      if (route && !limitUpgrade(req, socket, route, route.rateLimiters)) {
+        return;
+      }
+      if (route && route.auth) {
+        authenticateUpgrade(req, socket, route).then((passed) => {
+          if (passed && limitUpgrade(req, socket, route, route.authRateLimiters)) {
+            proxyUpgrade(req, socket, head, route, matchedRoute);
+          }
+        });
+        return;
+      }
+      proxyUpgrade(req, socket, head, route, matchedRoute);
+    };
+
+    const limitUpgrade = (req, socket, route, limiters) => {
+      if (limiters.length === 0) return true;
+      const limit = checkRateLimits(limiters, req);
+      if (limit.allowed) return true;
+      const requestId = req[REQUEST_ID];
+      logger.logRateLimited(requestId, req.url, `retry after ${limit.retryAfter}s`);
+      proxyMetrics.rejected.inc({ route: route.pattern, reason: "rate_limited" });
       try {
-        logger.error(`Server error: ${err.message}`);
+        socket.end(
+          `HTTP/1.1 429 Too Many Requests\r\nRetry-After: ${limit.retryAfter}\r\nX-Request-ID: ${requestId}\r\nConnection: close\r\n\r\n`
+        );
       } catch (_) {}
-    });
+      return false;
+    };
+
+    const authenticateUpgrade = (req, socket, route) => {
+      const requestId = req[REQUEST_ID];
+      const rejectUpgrade = (status, lines = []) => {
+        try {
+          socket.end(
+            [`HTTP/1.1 ${status}`, ...lines, `X-Request-ID: ${requestId}`, "Connection: close", "", ""].join("\r\n")
+          );
+        } catch (_) {}
+        return false;
+      };
+      return authenticate(route.auth, req).then(
+        (result) => {
+          if (result.ok) {
+            req[AUTH] = result;
+            return !socket.destroyed;
+          }
+          logger.logAuthRejected(requestId, req.method, req.url, result.status, result.reason);
+          const challenges = [].concat(result.challenge || []);
+          return rejectUpgrade(
+            result.status === 401 ? "401 Unauthorized" : "403 Forbidden",
+            challenges.map((challenge) => `WWW-Authenticate: ${challenge}`)
+          );
+        },
+        (error) => {
+          logger.logError(requestId, error, req.url);
+          return rejectUpgrade("500 Internal Server Error");
+        }
+      );
+    };
+
+    const proxyUpgrade = (req, socket, head, route, matchedRoute) => {
+      const requestId = req[REQUEST_ID];
+      const pool = route ? route.pool : null;
+      const upstream = pool ? pool.acquire(req, isUpstreamAvailable) : null;
+      const target = upstream ? upstream.url : null;
+      const originalUrl = req.url;
+
+      if (!upstream && pool && pool.isCircuitOpen()) {
+        logger.logRejected(requestId, req.method, req.url, 503, "circuit open for every upstream");
+        proxyMetrics.rejected.inc({ route: route.pattern, reason: "circuit_open" });
+        try {
+          socket.end(
+            `HTTP/1.1 503 Service Unavailable\r\nRetry-After: ${pool.circuitRetryAfter()}\r\nX-Request-ID: ${requestId}\r\nConnection: close\r\n\r\n`
+          );
+        } catch (_) {}
+        return;
+      }
+
+      // Long-lived upgrades are not queued when the upstreams are saturated
+      if (!upstream && pool && pool.isAtCapacity(isUpstreamAvailable)) {
+        logger.logRateLimited(requestId, req.url, "upstream at its concurrency limit");
+        try {
+          socket.end(
+            `HTTP/1.1 503 Service Unavailable\r\nX-Request-ID: ${requestId}\r\nConnection: close\r\n\r\n`
+          );
+        } catch (_) {}
+        return;
+      }
+
+      if (verbose) {
+        logger.info(`Upgrade matching: ${req.url} -> ${matchedRoute || 'no match'} -> ${target || 'no target'}`);
+      }
+
+      if (!target) {
+        logger.logRouteNotFound(requestId, req.url);
+        try {
+          socket.end(
+            `HTTP/1.1 404 Not Found\r\nX-Request-ID: ${requestId}\r\nConnection: close\r\n\r\n`
+          );
+        } catch (_) {}
+        return;
+      }
+
+      req[ROUTE] = route;
+      req[UPSTREAM] = target;
+      req.url = rewritePath(req.url, route.pathRewrite);
+
+      const startTime = Date.now();
+      let closed = false;
+      logger.logUpgradeOpen(requestId, originalUrl, target);
+      proxyMetrics.websockets.inc({ route: route.pattern });
+
+      socket.on("error", () => {});
+      socket.on("close", () => {
+        if (closed) return;
+        closed = true;
+        // The client left before the upstream answered
+        if (!req[CIRCUIT_RECORDED]) recordCircuitResult(req, null);
+        pool.release(upstream);
+        proxyMetrics.websockets.dec({ route: route.pattern });
+        proxyMetrics.bytesIn.inc(
+          { route: route.pattern, upstream: target },
+          socket.bytesRead
+        );
+        proxyMetrics.bytesOut.inc(
+          { route: route.pattern, upstream: target },
+          socket.bytesWritten
+        );
+        logger.logUpgradeClose(requestId, originalUrl, {
+          duration: Date.now() - startTime,
+          bytesIn: socket.bytesRead,
+          bytesOut: socket.bytesWritten,
+        });
+      });
+
+      proxy.ws(
+        req,
+        socket,
+        head,
+        {
+          target,
+          changeOrigin:
+            route.changeOrigin !== undefined ? route.changeOrigin : changeOrigin,
+          secure: route.upstream.tls.verify,
+          // Upgraded connections are never handed back to the pool
+          agent: getUpstreamAgent(route, target, { reuse: false }),
+        },
+        (err) => {
+          healthChecker.recordFailure(target, err);
+          recordCircuitResult(req, { error: err || new Error("upstream error") });
+          proxyMetrics.upstreamErrors.inc({
+            route: route.pattern,
+            upstream: target,
+            code: (err && err.code) || "unknown",
+          });
+          logger.logError(requestId, err, originalUrl);
+          try {
+            if (socket.writable && !socket.bytesWritten) {
+              socket.end(
+                `HTTP/1.1 502 Bad Gateway\r\nX-Request-ID: ${requestId}\r\nConnection: close\r\n\r\n`
+              );
+            } else {
+              socket.destroy();
+            }
+          } catch (_) {}
+        }
+      );
+    };
+
+    const attachListeners = (srv, withUpgrades) => {
+      if (withUpgrades) {
+        srv.on("upgrade", handleUpgrade);
+      }
+
+      // Prevent server from exiting on client parsing errors
+      srv.on("clientError", (err, socket) => {
+        // Headers over Node's own limit never reach handleRequest
+        const overflow = err.code === "HPE_HEADER_OVERFLOW";
+        if (overflow) {
+          logger.logRejected(null, null, null, 431, "headers over the server's limit");
+          proxyMetrics.rejected.inc({ route: "none", reason: "headers_too_large" });
+        }
+        try {
+          socket.end(
+            overflow
+              ? "HTTP/1.1 431 Request Header Fields Too Large\r\nConnection: close\r\n\r\n"
+              : "HTTP/1.1 400 Bad Request\r\n\r\n"
+          );
+        } catch (_) {}
+      });
+
+      srv.on("error", (err) => {
+        try {
+          logger.error(`Server error: ${err.message}`);
+        } catch (_) {}
+      });
+    };
+
+    // Node refuses headers over 16KB unless told otherwise
+    const serverOptions =
+      globalGuards.maxHeaderSize > 16 * 1024 ? { maxHeaderSize: globalGuards.maxHeaderSize } : {};
+    server = tlsOptions
+      ? https.createServer({ ...tlsOptions, ...serverOptions }, handleRequest)
+      : http.createServer(serverOptions, handleRequest);
+    attachListeners(server, true);
+
+    if (tlsOptions && httpPort) {
+      httpServer = http.createServer(serverOptions, redirectHttp ? redirectToHttps : handleRequest);
+      attachListeners(httpServer, !redirectHttp);
+    }
     return server;
   }
 
+  // Metrics are served on their own port, or on the proxy's listener
+  function startMetrics() {
+    if (!metricsConfig.port) {
+      logger.info(`Prometheus metrics at ${metricsConfig.path} on the proxy port`);
+      return Promise.resolve();
+    }
+    metricsServer = http.createServer((req, res) => {
+      if (isMetricsRequest(req)) {
+        serveMetrics(proxyMetrics.registry, res);
+        return;
+      }
+      res.writeHead(404, "Not Found", { "Content-Type": "text/plain" });
+      res.end("Not found");
+    });
+    metricsServer.on("error", (error) => {
+      logger.error(`Metrics listener error: ${error.message}`);
+    });
+    return listen(metricsServer, metricsConfig.port, metricsConfig.host).then((address) => {
+      logger.info(
+        `Prometheus metrics at http://${metricsConfig.host}:${address.port}${metricsConfig.path}`
+      );
+    });
+  }
+
   function setupFileWatcher() {
     if (!routesFile || !watchRoutes) {
       return;
@@ -374,13 +1995,15 @@ function createProxyServer(config = {}) {
         setTimeout(() => {
           try {
             const newRoutes = loadRoutesFromFile(routesFile);
+            // Nothing to do, e.g. after the admin API saved the routes
+            if (JSON.stringify(newRoutes) === JSON.stringify(savedRoutes)) {
+              return;
+            }
             if (Object.keys(newRoutes).length > 0) {
-              currentRoutes = newRoutes;
-              defaultTarget = currentRoutes["*"] || null;
-              routeMatchers = compileRouteMatchers(currentRoutes);
+              applySavedRoutes(newRoutes);
               logger.success(`Routes updated successfully`);
               logger.info(
-                `Current routes: ${Object.keys(currentRoutes).join(", ")}`
+                `Current routes: ${describeRoutes(currentRoutes)}`
               );
             } else {
               logger.warning(
@@ -398,21 +2021,75 @@ function createProxyServer(config = {}) {
     });
   }
 
-  return {
+  const proxyServer = {
+    // Resolves with the proxy's address once every listener is up
     start: () => {
       if (routesFile) {
-        const fileRoutes = loadRoutesFromFile(routesFile);
-        Object.assign(currentRoutes, fileRoutes);
-      }
-      defaultTarget = currentRoutes["*"] || null;
-      routeMatchers = compileRouteMatchers(currentRoutes);
-      server = createServer();
-      server.listen(port, host, () => {
-        logger.serverStart(port, host, logLevel, currentRoutes, forwardAll);
-        setupFileWatcher();
-      });
+        savedRoutes = loadRoutesFromFile(routesFile);
+        currentRoutes = { ...routes, ...savedRoutes };
+      }
+      if (record) {
+        recorder = new HarRecorder(record, { logger, redact: logger.redact });
+        logger.info(`Recording traffic to ${recorder.file}`);
+      }
+      if (replay) {
+        replayer = new HarReplayer(isRouteObject(replay) ? replay.file : replay);
+        logger.info(`Replaying ${replayer.size} recorded responses from ${replayer.file}`);
+      }
+      loadedPlugins = plugins.map((plugin) => loadPlugin(plugin, { logger }));
+      for (const plugin of loadedPlugins) {
+        logger.info(`Plugin loaded: ${plugin.name || "unnamed"}`);
+      }
+      // Only compile route matchers if not using forwardAll
+      if (!forwardAll) {
+        applyRoutes(currentRoutes);
+      } else {
+        healthChecker.sync([forwardAllRoute.pool]);
+      }
+      const tlsOptions = tls ? createTlsServerOptions(tls, { host, logger }) : null;
+      server = createServer(tlsOptions);
+      const listening = [
+        listen(server, port, host).then((address) => {
+          logger.serverStart(address.port, host, logLevel, currentRoutes, forwardAll, {
+            protocol: tlsOptions ? "https" : "http",
+            httpPort: httpServer ? httpPort : null,
+            redirectHttp,
+          });
+          setupFileWatcher();
+          return address;
+        }),
+      ];
+      if (httpServer) {
+        listening.push(listen(httpServer, httpPort, host));
+      }
+      if (admin) {
+        adminServer = createAdminServer(proxyServer, { ...admin, logger });
+        listening.push(adminServer.start());
+      }
+      if (metricsConfig) {
+        listening.push(startMetrics());
+      }
+      if (tracer) {
+        tracer.start();
+      }
+      return Promise.all(listening).then(([address]) => address);
     },
+    // Resolves once the recording is written and queued spans are sent
     stop: () => {
+      healthChecker.stop();
+      upstreamAgents.closeIdleSockets();
+      const stopping = [];
+      if (recorder) {
+        stopping.push(recorder.stop());
+      }
+      if (adminServer) {
+        adminServer.stop();
+        adminServer = null;
+      }
+      if (metricsServer) {
+        metricsServer.close();
+        metricsServer = null;
+      }
       if (watcher) {
         watcher.close();
         watcher = null;
@@ -421,22 +2098,42 @@ function createProxyServer(config = {}) {
         server.close();
         server = null;
       }
+      if (httpServer) {
+        httpServer.close();
+        httpServer = null;
+      }
+      if (tracer) {
+        stopping.push(tracer.stop());
+      }
+      return Promise.all(stopping).then(() => {});
     },
     reload: () => {
       if (routesFile) {
         const newRoutes = loadRoutesFromFile(routesFile);
         if (Object.keys(newRoutes).length > 0) {
-          currentRoutes = newRoutes;
-          defaultTarget = currentRoutes["*"] || null;
-          routeMatchers = compileRouteMatchers(currentRoutes);
+          try {
+            applySavedRoutes(newRoutes);
+          } catch (error) {
+            logger.error(`Failed to reload routes: ${error.message}`);
+            return;
+          }
           logger.success(`Routes manually reloaded`);
           logger.info(
-            `Current routes: ${Object.keys(currentRoutes).join(", ")}`
+            `Current routes: ${describeRoutes(currentRoutes)}`
           );
         }
       }
     },
+    reloadRoutesFile,
+    getRoutes: () => (forwardAll ? { "*": forwardAll } : currentRoutes),
+    setRoute,
+    deleteRoute,
+    persistRoutes,
+    getUpstreams,
+    getStats,
+    toggleFaults,
   };
+  return proxyServer;
 }
 
 module.exports = { createProxyServer };
@@ -0,0 +1,149 @@
+const { CLIENT_IP } = require("./guards");
+
+// Token-bucket rate limits, declared per route:
+//   { "requests": 100, "window": 60000, "burst": 20, "key": "ip" }
+// `key` is "ip" (default), "route" (one bucket shared by every client) or
+// "header:<name>" (e.g. an API key; clients without it are keyed by IP)
+const KEY_TYPES = ["ip", "route"];
+
+// Buckets are swept for idle clients every so many requests
+const SWEEP_EVERY = 1000;
+
+// The address after trusted proxies when the proxy resolved one
+function clientIp(req) {
+  return req[CLIENT_IP] || (req.socket && req.socket.remoteAddress) || "unknown";
+}
+
+function normalizeRateLimit(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("rateLimit must be an object or a list of objects");
+  }
+  const { requests, window = 60_000, burst = requests, key = "ip" } = config;
+  if (!Number.isInteger(requests) || requests <= 0) {
+    throw new Error("rateLimit.requests must be a positive integer");
+  }
+  if (!Number.isFinite(window) || window <= 0) {
+    throw new Error("rateLimit.window must be a positive number of milliseconds");
+  }
+  if (!Number.isInteger(burst) || burst <= 0) {
+    throw new Error("rateLimit.burst must be a positive integer");
+  }
+  if (!KEY_TYPES.includes(key) && !/^header:.+/.test(key)) {
+    throw new Error(`rateLimit.key must be "ip", "route" or "header:<name>", got "${key}"`);
+  }
+  return { requests, window, burst, key };
+}
+
+class RateLimiter {
+  constructor(config) {
+    Object.assign(this, normalizeRateLimit(config));
+    this.header = this.key.startsWith("header:")
+      ? this.key.slice("header:".length).toLowerCase()
+      : null;
+    this.rate = this.requests / this.window; // tokens per ms
+    this.buckets = new Map(); // client key -> { tokens, updatedAt }
+    this.takes = 0;
+  }
+
+  keyFor(req) {
+    if (this.key === "route") return "*";
+    if (this.header) {
+      const value = req.headers[this.header];
+      if (value) return `header:${value}`;
+    }
+    return `ip:${clientIp(req)}`;
+  }
+
+  // The request client's bucket, refilled for the time since it was last used
+  refill(req, now) {
+    const key = this.keyFor(req);
+    const bucket = this.buckets.get(key) || { key, tokens: this.burst, updatedAt: now };
+    bucket.tokens = Math.min(
+      this.burst,
+      bucket.tokens + (now - bucket.updatedAt) * this.rate
+    );
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  // Whether the request's client has a token left, without taking it
+  check(req) {
+    const bucket = this.refill(req, Date.now());
+    return this.describe(bucket, bucket.tokens >= 1);
+  }
+
+  // Take one token for the request's client
+  take(req) {
+    const now = Date.now();
+    const bucket = this.refill(req, now);
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.set(bucket.key, bucket);
+    if (++this.takes % SWEEP_EVERY === 0) {
+      this.sweep(now);
+    }
+    return this.describe(bucket, allowed);
+  }
+
+  // Times are in seconds, as sent in the RateLimit-* and Retry-After headers
+  describe(bucket, allowed) {
+    return {
+      allowed,
+      limit: this.burst,
+      remaining: Math.floor(bucket.tokens),
+      reset: Math.ceil((this.burst - bucket.tokens) / this.rate / 1000),
+      retryAfter: allowed
+        ? 0
+        : Math.max(1, Math.ceil((1 - bucket.tokens) / this.rate / 1000)),
+      policy: `${this.requests};w=${Math.ceil(this.window / 1000)}`,
+    };
+  }
+
+  // Forget clients whose bucket has filled up again
+  sweep(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.rate >= this.burst) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Check every limit of a route. Returns the result to report: the first
+// limit that rejected the request, otherwise the one with the least left.
+// Tokens are only taken once every limit allows the request, so a client
+// that is refused does not use up a bucket it shares with others.
+function checkRateLimits(limiters, req) {
+  for (const limiter of limiters) {
+    const result = limiter.check(req);
+    if (!result.allowed) {
+      return result;
+    }
+  }
+  let reported = null;
+  for (const limiter of limiters) {
+    const result = limiter.take(req);
+    if (!reported || result.remaining < reported.remaining) {
+      reported = result;
+    }
+  }
+  return reported;
+}
+
+function setRateLimitHeaders(res, result) {
+  res.setHeader("RateLimit-Limit", String(result.limit));
+  res.setHeader("RateLimit-Remaining", String(result.remaining));
+  res.setHeader("RateLimit-Reset", String(result.reset));
+  res.setHeader("RateLimit-Policy", result.policy);
+  if (!result.allowed) {
+    res.setHeader("Retry-After", String(result.retryAfter));
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  checkRateLimits,
+  setRateLimitHeaders,
+};
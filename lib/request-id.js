@@ -0,0 +1,29 @@
+const crypto = require("crypto");
+const { parseTraceparent } = require("./tracing");
+
+// Sent to the upstream and returned to the client
+const REQUEST_ID_HEADER = "x-request-id";
+
+// Incoming ids end up in logs and upstream requests: keep them short and plain
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:@/+=-]{1,128}$/;
+
+function createRequestId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+// An incoming X-Request-ID wins, then the trace id of a W3C traceparent,
+// so the proxy's logs line up with the caller's; otherwise a new id
+function resolveRequestId(req) {
+  const incoming = req.headers[REQUEST_ID_HEADER];
+  if (typeof incoming === "string" && VALID_REQUEST_ID.test(incoming)) {
+    return incoming;
+  }
+  const parent = parseTraceparent(req.headers.traceparent);
+  return parent ? parent.traceId : createRequestId();
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  createRequestId,
+  resolveRequestId,
+};
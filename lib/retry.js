@@ -0,0 +1,90 @@
+const { parseSize } = require("./cache");
+const { statusMatches } = require("./health-checker");
+
+// Retry policy, set globally (`retry`) and per route:
+//   attempts     tries in total, the first one included
+//   errors       upstream error codes that are retried
+//   statuses     upstream statuses that are retried, e.g. [502, 503, 504]
+//   methods      methods that may be retried; add POST or PATCH to opt in
+//   backoff      ms before the first retry, doubled for each further one
+//   maxBackoff   upper bound for the delay
+//   maxBodySize  request bodies up to this size are kept to be sent again
+// The defaults keep the proxy's original behaviour: one more try for
+// idempotent requests whose upstream connection was reset.
+const DEFAULTS = {
+  attempts: 2,
+  errors: ["ECONNRESET"],
+  statuses: [],
+  methods: ["GET", "HEAD", "OPTIONS"],
+  backoff: 100,
+  maxBackoff: 2_000,
+  maxBodySize: "1mb",
+};
+
+function checkList(config, name) {
+  if (!Array.isArray(config[name])) {
+    throw new Error(`retry.${name} must be a list`);
+  }
+}
+
+// A route setting (undefined, false, true or an object) merged over the
+// global one. Null when requests on the route are never retried.
+function resolveRetryPolicy(value, globalValue) {
+  const setting = value === undefined ? globalValue : value;
+  if (!setting) return null;
+  if (setting !== true && (typeof setting !== "object" || Array.isArray(setting))) {
+    throw new Error("retry must be true, false or an object");
+  }
+  const config = {
+    ...DEFAULTS,
+    ...(globalValue && typeof globalValue === "object" ? globalValue : {}),
+    ...(typeof setting === "object" ? setting : {}),
+  };
+  if (!Number.isInteger(config.attempts) || config.attempts < 1) {
+    throw new Error("retry.attempts must be a positive integer");
+  }
+  checkList(config, "errors");
+  checkList(config, "statuses");
+  checkList(config, "methods");
+  for (const name of ["backoff", "maxBackoff"]) {
+    if (!Number.isFinite(config[name]) || config[name] < 0) {
+      throw new Error(`retry.${name} must be a non-negative number of milliseconds`);
+    }
+  }
+  if (config.attempts === 1) return null;
+  return {
+    ...config,
+    methods: config.methods.map((method) => String(method).toUpperCase()),
+    maxBodySize: parseSize(config.maxBodySize),
+  };
+}
+
+// Exponential backoff with full jitter; `retry` counts from 1
+function retryDelay(policy, retry) {
+  const ceiling = Math.min(policy.maxBackoff, policy.backoff * 2 ** (retry - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function isRetryableError(policy, error) {
+  return !!error && policy.errors.includes(error.code);
+}
+
+function isRetryableStatus(policy, status) {
+  return policy.statuses.length > 0 && statusMatches(policy.statuses, status);
+}
+
+// Whether the body has to be read into memory before the first attempt so
+// it can be sent again. Bodies without a Content-Length are only kept when
+// something else (a size limit, a plugin) already read them.
+function needsBodyBuffer(policy, req) {
+  const length = Number(req.headers["content-length"]);
+  return policy.methods.includes(req.method) && length > 0 && length <= policy.maxBodySize;
+}
+
+module.exports = {
+  resolveRetryPolicy,
+  retryDelay,
+  isRetryableError,
+  isRetryableStatus,
+  needsBodyBuffer,
+};
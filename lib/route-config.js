@@ -0,0 +1,209 @@
+const { normalizeLocalTarget } = require("./local-target");
+const { normalizeFaults } = require("./faults");
+const { normalizeCookieRewrite } = require("./cookies");
+const { compileAuth } = require("./auth");
+const { compileRouteGuards, normalizeMethods } = require("./guards");
+
+// Route values in the routes table are either a target (URL string, list of
+// upstreams) or an object with a `target` plus per-route options.
+function isRouteObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function compilePathRewrite(rule) {
+  if (rule === undefined || rule === null) {
+    return null;
+  }
+  // "/api" -> strip that prefix
+  if (typeof rule === "string") {
+    return [{ prefix: rule.replace(/\/+$/, "") }];
+  }
+  // { "^/api/v1": "/v2" } -> regex replacements, first match wins
+  if (isRouteObject(rule)) {
+    return Object.entries(rule).map(([pattern, replacement]) => {
+      if (typeof replacement !== "string") {
+        throw new Error(`pathRewrite replacement for "${pattern}" must be a string`);
+      }
+      return { regex: new RegExp(pattern), replacement };
+    });
+  }
+  throw new Error("pathRewrite must be a prefix string or a { regex: replacement } object");
+}
+
+function rewritePath(url, rules) {
+  if (!rules) return url;
+  const queryIndex = url.indexOf("?");
+  const pathname = queryIndex === -1 ? url : url.slice(0, queryIndex);
+  const query = queryIndex === -1 ? "" : url.slice(queryIndex);
+
+  for (const rule of rules) {
+    let rewritten = null;
+    if (rule.prefix !== undefined) {
+      if (
+        pathname === rule.prefix ||
+        pathname.startsWith(rule.prefix + "/")
+      ) {
+        rewritten = pathname.slice(rule.prefix.length);
+      }
+    } else if (rule.regex.test(pathname)) {
+      rewritten = pathname.replace(rule.regex, rule.replacement);
+    }
+    if (rewritten !== null) {
+      if (!rewritten.startsWith("/")) {
+        rewritten = "/" + rewritten;
+      }
+      return rewritten + query;
+    }
+  }
+  return url;
+}
+
+function normalizeHeaderMap(map, name) {
+  if (map === undefined || map === null) return {};
+  if (!isRouteObject(map)) {
+    throw new Error(`${name} must be an object of header names to values`);
+  }
+  return { ...map };
+}
+
+function normalizeHeaderList(list, name) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} must be an array of header names`);
+  }
+  return list.map((header) => String(header).toLowerCase());
+}
+
+// Normalize a route entry into the shape used by the request handler
+function normalizeRoute(pattern, value) {
+  const options = isRouteObject(value) ? value : { target: value };
+  if (options.target === undefined || options.target === null) {
+    throw new Error("route has no target");
+  }
+  if (options.upstreamTls !== undefined && !isRouteObject(options.upstreamTls)) {
+    throw new Error("upstreamTls must be an object");
+  }
+  if (
+    options.timeout !== undefined &&
+    (!Number.isFinite(options.timeout) || options.timeout <= 0)
+  ) {
+    throw new Error("timeout must be a positive number of milliseconds");
+  }
+  if (
+    isRouteObject(options.cache) &&
+    options.cache.ttl !== undefined &&
+    (!Number.isFinite(options.cache.ttl) || options.cache.ttl < 0)
+  ) {
+    throw new Error("cache.ttl must be a number of seconds");
+  }
+  if (
+    options.index !== undefined &&
+    options.index !== false &&
+    typeof options.index !== "string"
+  ) {
+    throw new Error("index must be a file name or false");
+  }
+  if (
+    options.stripSecureCookies !== undefined &&
+    typeof options.stripSecureCookies !== "boolean"
+  ) {
+    throw new Error("stripSecureCookies must be true or false");
+  }
+
+  return {
+    pattern,
+    // Everything that identifies the upstream pool; other options can change
+    // on reload without resetting balancing or health state
+    upstream: {
+      target: options.target,
+      strategy: options.strategy,
+      healthCheck: options.healthCheck,
+      concurrency: options.concurrency,
+      // Merged with the global setting by the proxy server
+      circuitBreaker: options.circuitBreaker,
+    },
+    // Mock response or static directory answered without an upstream
+    local: normalizeLocalTarget(options.target, options),
+    pathRewrite: compilePathRewrite(options.pathRewrite),
+    addRequestHeaders: normalizeHeaderMap(
+      options.addRequestHeaders,
+      "addRequestHeaders"
+    ),
+    removeRequestHeaders: normalizeHeaderList(
+      options.removeRequestHeaders,
+      "removeRequestHeaders"
+    ),
+    addResponseHeaders: normalizeHeaderMap(
+      options.addResponseHeaders,
+      "addResponseHeaders"
+    ),
+    methods: normalizeMethods(options.methods),
+    timeout: options.timeout,
+    changeOrigin: options.changeOrigin,
+    cookieDomainRewrite: normalizeCookieRewrite(
+      options.cookieDomainRewrite,
+      "cookieDomainRewrite"
+    ),
+    cookiePathRewrite: normalizeCookieRewrite(options.cookiePathRewrite, "cookiePathRewrite"),
+    stripSecureCookies: options.stripSecureCookies,
+    cors: options.cors,
+    cache: options.cache,
+    rateLimit: options.rateLimit,
+    retry: options.retry,
+    // Compiled auth policies; undefined falls back to the global setting
+    auth: compileAuth(options.auth),
+    faults: normalizeFaults(options.faults),
+    // Route IP lists and body limit, on top of the global guards
+    guards: compileRouteGuards(options),
+    // `secure` is shorthand for upstreamTls.verify
+    upstreamTls: {
+      ...(options.secure !== undefined ? { verify: options.secure } : {}),
+      ...(options.upstreamTls || {}),
+    },
+    prependPath: options.prependPath,
+  };
+}
+
+// Hostname from a Host header, lower-cased and without the port
+function normalizeHostname(hostHeader) {
+  if (!hostHeader) return "";
+  const host = String(hostHeader).trim().toLowerCase();
+  if (host.startsWith("[")) {
+    // IPv6 literal, e.g. [::1]:8000
+    const end = host.indexOf("]");
+    return end === -1 ? host : host.slice(0, end + 1);
+  }
+  const colon = host.indexOf(":");
+  return colon === -1 ? host : host.slice(0, colon);
+}
+
+// "api.local.test" matches exactly, "*.local.test" matches any subdomain
+function compileHostPattern(hostname) {
+  const normalized = String(hostname).trim().toLowerCase();
+  if (normalized.startsWith("*.")) {
+    const suffix = normalized.slice(1); // keeps the leading dot
+    return {
+      hostname: normalized,
+      wildcard: true,
+      specificity: suffix.length,
+      test: (host) => host.endsWith(suffix) && host.length > suffix.length,
+    };
+  }
+  if (normalized.includes("*")) {
+    throw new Error(`invalid host "${hostname}": wildcards are only allowed as a leading "*."`);
+  }
+  return {
+    hostname: normalized,
+    wildcard: false,
+    specificity: Infinity,
+    test: (host) => host === normalized,
+  };
+}
+
+module.exports = {
+  normalizeRoute,
+  rewritePath,
+  isRouteObject,
+  normalizeHostname,
+  compileHostPattern,
+};
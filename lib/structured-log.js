@@ -0,0 +1,140 @@
+const path = require("path");
+const winston = require("winston");
+
+// Header values never written to structured logs
+const DEFAULT_REDACTED_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+];
+
+const ROTATE_PATTERNS = {
+  daily: "YYYY-MM-DD",
+  hourly: "YYYY-MM-DD-HH",
+};
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function redactHeaders(headers, names) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    result[name] = names.includes(name.toLowerCase()) ? "[REDACTED]" : value;
+  }
+  return result;
+}
+
+// 10/Oct/2000:13:55:36 +0000
+function formatCombinedTime(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`
+  );
+}
+
+function quote(value) {
+  if (!value) return '"-"';
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Apache/nginx "combined" access log line
+function formatCombined(event) {
+  return [
+    event.clientIp || "-",
+    "-",
+    event.user || "-",
+    `[${formatCombinedTime(new Date(event.timestamp))}]`,
+    quote(`${event.method} ${event.url} HTTP/${event.httpVersion}`),
+    event.status,
+    event.bytesOut || "-",
+    quote(event.referer),
+    quote(event.userAgent),
+  ].join(" ");
+}
+
+const accessOnly = winston.format((info) => (info.event === "access" ? info : false));
+const withoutAccess = winston.format((info) => (info.event === "access" ? false : info));
+
+// { timestamp, level, event, ...fields }; `message` only for plain messages
+const jsonLine = winston.format.printf(({ level, message, timestamp, event, ...fields }) =>
+  JSON.stringify({
+    timestamp,
+    level,
+    event,
+    ...(message !== event ? { message } : {}),
+    ...fields,
+  })
+);
+const combinedLine = winston.format.printf((info) => formatCombined(info));
+const plainLine = winston.format.printf(
+  ({ timestamp, level, message }) => `[${timestamp}] ${level}: ${message}`
+);
+
+function createFileTransport(file, format) {
+  const config = typeof file === "string" ? { path: file } : file;
+  const rotate = config.rotate || "daily";
+  if (!ROTATE_PATTERNS[rotate]) {
+    throw new Error(`invalid log rotation "${rotate}" (expected daily or hourly)`);
+  }
+  const DailyRotateFile = require("winston-daily-rotate-file");
+  const { dir, name, ext } = path.parse(path.resolve(config.path));
+  return new DailyRotateFile({
+    dirname: dir,
+    // proxy.log -> proxy-2024-05-01.log, with proxy.log linking to the current file
+    filename: `${name}-%DATE%${ext}`,
+    datePattern: ROTATE_PATTERNS[rotate],
+    maxSize: config.maxSize || "20m",
+    maxFiles: config.maxFiles || 14,
+    createSymlink: true,
+    symlinkName: `${name}${ext}`,
+    auditFile: path.join(dir, `.${name}-audit.json`),
+    format:
+      format === "combined"
+        ? winston.format.combine(accessOnly(), winston.format.timestamp(), combinedLine)
+        : winston.format.combine(winston.format.timestamp(), jsonLine),
+  });
+}
+
+// Winston logger for the json/combined console formats and the log file.
+// Returns null when output is pretty-printed only.
+function createStructuredLogger({ format = "pretty", file = null, verbose = false }) {
+  const transports = [];
+  if (format === "json") {
+    transports.push(
+      new winston.transports.Console({
+        format: winston.format.combine(winston.format.timestamp(), jsonLine),
+      })
+    );
+  } else if (format === "combined") {
+    // Access lines on stdout, everything else on stderr
+    transports.push(
+      new winston.transports.Console({
+        format: winston.format.combine(accessOnly(), winston.format.timestamp(), combinedLine),
+      }),
+      new winston.transports.Console({
+        stderrLevels: Object.keys(winston.config.npm.levels),
+        format: winston.format.combine(withoutAccess(), winston.format.timestamp(), plainLine),
+      })
+    );
+  } else if (format !== "pretty") {
+    throw new Error(`invalid log format "${format}" (expected pretty, json or combined)`);
+  }
+  if (file) {
+    transports.push(createFileTransport(file, format));
+  }
+  if (transports.length === 0) {
+    return null;
+  }
+  return winston.createLogger({
+    level: verbose ? "debug" : "info",
+    transports,
+  });
+}
+
+module.exports = {
+  createStructuredLogger,
+  redactHeaders,
+  DEFAULT_REDACTED_HEADERS,
+};
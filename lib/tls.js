@@ -0,0 +1,157 @@
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const tls = require("tls");
+const { compileHostPattern } = require("./route-config");
+
+// Where the auto-generated development certificate is kept between runs
+const DEFAULT_CERT_DIR = path.join(os.homedir(), ".flexible-proxy", "certs");
+
+function readPem(file, what) {
+  try {
+    return fs.readFileSync(path.resolve(file));
+  } catch (error) {
+    throw new Error(`Cannot read TLS ${what} "${file}": ${error.message}`);
+  }
+}
+
+function loadKeyPair(entry, label) {
+  if (!entry || !entry.cert || !entry.key) {
+    throw new Error(`${label} needs both a certificate and a key`);
+  }
+  return {
+    cert: readPem(entry.cert, "certificate"),
+    key: readPem(entry.key, "key"),
+  };
+}
+
+// Reuse the dev certificate from a previous run, or generate one
+function ensureSelfSignedCertificate(dir, hostnames, logger) {
+  const certFile = path.join(dir, "dev-cert.pem");
+  const keyFile = path.join(dir, "dev-key.pem");
+  if (fs.existsSync(certFile) && fs.existsSync(keyFile)) {
+    return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile) };
+  }
+
+  logger.info("Generating a self-signed development certificate...");
+  const selfsigned = require("selfsigned");
+  const names = [...new Set(hostnames.filter(Boolean))];
+  const pems = selfsigned.generate(
+    [{ name: "commonName", value: "flexible-proxy development certificate" }],
+    {
+      days: 825,
+      keySize: 2048,
+      algorithm: "sha256",
+      extensions: [
+        { name: "basicConstraints", cA: false },
+        { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+        { name: "extKeyUsage", serverAuth: true },
+        {
+          name: "subjectAltName",
+          altNames: names.map((name) =>
+            net.isIP(name) ? { type: 7, ip: name } : { type: 2, value: name }
+          ),
+        },
+      ],
+    }
+  );
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(keyFile, pems.private, { mode: 0o600 });
+  fs.writeFileSync(certFile, pems.cert);
+  logger.success(`Self-signed certificate written to ${certFile}`);
+  logger.info(`Valid for: ${names.join(", ")}`);
+  return { cert: pems.cert, key: pems.private };
+}
+
+// Build https.createServer() options from the `tls` config:
+// { cert, key } files, or selfSigned: true, plus optional per-host `sni` pairs
+function createTlsServerOptions(config, { host, logger }) {
+  let credentials;
+  if (config.cert || config.key) {
+    credentials = loadKeyPair(config, "HTTPS");
+  } else if (config.selfSigned) {
+    credentials = ensureSelfSignedCertificate(
+      config.certDir || DEFAULT_CERT_DIR,
+      ["localhost", "127.0.0.1", "::1", host === "0.0.0.0" || host === "::" ? null : host],
+      logger
+    );
+  } else {
+    throw new Error(
+      "HTTPS needs a certificate and key (--tls-cert/--tls-key) or a self-signed certificate (--tls-self-signed)"
+    );
+  }
+
+  const sniContexts = Object.entries(config.sni || {})
+    .map(([hostname, entry]) => ({
+      ...compileHostPattern(hostname),
+      context: tls.createSecureContext(loadKeyPair(entry, `SNI host "${hostname}"`)),
+    }))
+    .sort((a, b) => b.specificity - a.specificity);
+
+  const options = { ...credentials };
+  if (sniContexts.length > 0) {
+    options.SNICallback = (servername, callback) => {
+      const name = String(servername || "").toLowerCase();
+      const entry = sniContexts.find((candidate) => candidate.test(name));
+      // A falsy context falls back to the default certificate
+      callback(null, entry ? entry.context : undefined);
+    };
+  }
+  return options;
+}
+
+const UPSTREAM_TLS_KEYS = [
+  "verify",
+  "ca",
+  "cert",
+  "key",
+  "passphrase",
+  "servername",
+  "minVersion",
+  "maxVersion",
+];
+
+// Merge route-level upstream TLS settings over the global ones
+function resolveUpstreamTls(globalConfig = {}, routeConfig = {}) {
+  const resolved = { verify: true, minVersion: "TLSv1.2", maxVersion: "TLSv1.3" };
+  for (const source of [globalConfig || {}, routeConfig || {}]) {
+    for (const key of UPSTREAM_TLS_KEYS) {
+      if (source[key] !== undefined && source[key] !== null) {
+        resolved[key] = source[key];
+      }
+    }
+  }
+  return resolved;
+}
+
+// https.Agent options for a resolved upstream TLS config (reads CA/cert files)
+function createUpstreamAgentOptions(config) {
+  const options = {
+    rejectUnauthorized: config.verify !== false,
+    minVersion: config.minVersion,
+    maxVersion: config.maxVersion,
+  };
+  if (config.ca) {
+    options.ca = [].concat(config.ca).map((file) => readPem(file, "CA bundle"));
+  }
+  if (config.cert || config.key) {
+    Object.assign(options, loadKeyPair(config, "Upstream client certificate"));
+    if (config.passphrase) {
+      options.passphrase = config.passphrase;
+    }
+  }
+  if (config.servername) {
+    options.servername = config.servername;
+  }
+  return options;
+}
+
+module.exports = {
+  createTlsServerOptions,
+  resolveUpstreamTls,
+  createUpstreamAgentOptions,
+  ensureSelfSignedCertificate,
+  DEFAULT_CERT_DIR,
+};
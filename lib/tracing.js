@@ -0,0 +1,225 @@
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { version } = require("../package.json");
+
+// OTLP/JSON enums
+const SPAN_KIND_SERVER = 2;
+const STATUS_CODE_UNSET = 0;
+const STATUS_CODE_ERROR = 2;
+
+const DEFAULTS = {
+  endpoint: "http://localhost:4318/v1/traces",
+  serviceName: "flexible-proxy",
+  headers: {}, // extra export headers, e.g. an API key for a hosted backend
+  sampleRatio: 1, // for requests that arrive without a sampled parent
+  maxBatchSize: 512,
+  maxQueueSize: 2048, // spans beyond this are dropped while the collector is slow
+  flushInterval: 5_000,
+  timeout: 10_000,
+};
+
+// version-traceid-parentid-flags, see https://www.w3.org/TR/trace-context/
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+function parseTraceparent(header) {
+  const found = TRACEPARENT.exec(String(header || "").trim());
+  if (!found) return null;
+  const [, version, traceId, spanId, flags] = found;
+  if (version === "ff" || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null;
+  }
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.sampled ? "01" : "00"}`;
+}
+
+// A bare collector URL gets the standard traces path
+function resolveEndpoint(endpoint) {
+  const url = new URL(endpoint);
+  if (url.pathname === "/" || url.pathname === "") {
+    url.pathname = "/v1/traces";
+  }
+  return url;
+}
+
+function toAnyValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function nowUnixNano() {
+  return BigInt(Date.now()) * 1_000_000n;
+}
+
+class Span {
+  constructor(tracer, { name, parent, sampled, attributes }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString("hex");
+    this.spanId = crypto.randomBytes(8).toString("hex");
+    this.parentSpanId = parent ? parent.spanId : undefined;
+    this.sampled = sampled;
+    this.attributes = { ...attributes };
+    this.status = { code: STATUS_CODE_UNSET };
+    // Wall clock for the start, monotonic clock for the duration
+    this.startTime = nowUnixNano();
+    this.startHrTime = process.hrtime.bigint();
+    this.ended = false;
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+  }
+
+  setError(message) {
+    this.status = { code: STATUS_CODE_ERROR, message };
+  }
+
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+    this.endTime = this.startTime + (process.hrtime.bigint() - this.startHrTime);
+    if (this.sampled) {
+      this.tracer.enqueue(this);
+    }
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: SPAN_KIND_SERVER,
+      startTimeUnixNano: String(this.startTime),
+      endTimeUnixNano: String(this.endTime),
+      attributes: toAttributes(this.attributes),
+      status: this.status,
+    };
+  }
+}
+
+// Batches finished spans and exports them as OTLP/HTTP JSON
+class Tracer {
+  constructor(config = {}, logger = null) {
+    this.config = { ...DEFAULTS, ...config };
+    this.endpoint = resolveEndpoint(this.config.endpoint);
+    this.logger = logger;
+    this.queue = [];
+    this.timer = null;
+    this.failing = false; // only the first of a run of export failures is logged
+  }
+
+  // Server span for an incoming request. A sampled or unsampled parent from
+  // `traceparent` is honoured; otherwise sampleRatio decides.
+  startSpan(name, traceparent, attributes = {}) {
+    const parent = parseTraceparent(traceparent);
+    const sampled = parent ? parent.sampled : Math.random() < this.config.sampleRatio;
+    return new Span(this, { name, parent, sampled, attributes });
+  }
+
+  enqueue(span) {
+    if (this.queue.length >= this.config.maxQueueSize) return;
+    this.queue.push(span);
+    if (this.queue.length >= this.config.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  start() {
+    this.timer = setInterval(() => this.flush(), this.config.flushInterval);
+    this.timer.unref();
+  }
+
+  // Stops the timer and sends what is still queued. Resolves once the
+  // collector has answered (or the export failed).
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this.flush();
+  }
+
+  flush() {
+    const exports = [];
+    while (this.queue.length > 0) {
+      exports.push(this.export(this.queue.splice(0, this.config.maxBatchSize)));
+    }
+    return Promise.all(exports);
+  }
+
+  // Never rejects: failures are logged and the spans dropped
+  export(spans) {
+    const body = JSON.stringify({
+      resourceSpans: [
+        {
+          resource: {
+            attributes: toAttributes({ "service.name": this.config.serviceName }),
+          },
+          scopeSpans: [
+            {
+              scope: { name: "flexible-reverse-proxy", version },
+              spans: spans.map((span) => span.toOtlp()),
+            },
+          ],
+        },
+      ],
+    });
+    const client = this.endpoint.protocol === "https:" ? https : http;
+    return new Promise((resolve) => {
+      const req = client.request(this.endpoint, {
+        method: "POST",
+        timeout: this.config.timeout,
+        headers: {
+          ...this.config.headers,
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+        },
+      });
+      req.on("response", (res) => {
+        res.resume();
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          this.failing = false;
+        } else {
+          this.reportFailure(`collector responded ${res.statusCode}`, spans.length);
+        }
+        resolve();
+      });
+      req.on("timeout", () => req.destroy(new Error("timed out")));
+      req.on("error", (error) => {
+        this.reportFailure(error.message, spans.length);
+        resolve();
+      });
+      req.end(body);
+    });
+  }
+
+  reportFailure(reason, count) {
+    if (this.failing) return;
+    this.failing = true;
+    if (this.logger) {
+      this.logger.warning(
+        `Trace export to ${this.endpoint.href} failed (${reason}); dropped ${count} spans`
+      );
+    }
+  }
+}
+
+module.exports = {
+  Tracer,
+  parseTraceparent,
+  formatTraceparent,
+};
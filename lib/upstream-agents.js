@@ -0,0 +1,168 @@
+const http = require("http");
+const https = require("https");
+const { createUpstreamAgentOptions } = require("./tls");
+const { parseSize } = require("./cache");
+
+// Upstream connection reuse, set globally with the `keepAlive` option:
+//   maxSockets         connections per upstream origin, in use or idle
+//   maxFreeSockets     idle connections kept per upstream origin
+//   freeSocketTimeout  ms an idle connection is kept. Stay below the
+//                      upstream's own keep-alive timeout (5s for Node, 75s
+//                      for nginx); a shorter `Keep-Alive: timeout` announced
+//                      by the upstream wins.
+//   socketTtl          ms after which a connection is not reused any more,
+//                      however busy it is; 0 for no limit
+//   maxBodySize        request bodies up to this size are kept in memory so
+//                      the request can be sent again after a stale
+//                      connection; larger ones go out on a new connection
+// `false` opens a new connection for every request.
+const DEFAULTS = {
+  maxSockets: 256,
+  maxFreeSockets: 32,
+  freeSocketTimeout: 4_000,
+  socketTtl: 60_000,
+  maxBodySize: "64kb",
+};
+
+// Errors of a request written to a connection the upstream had just closed
+const STALE_SOCKET_CODES = ["ECONNRESET", "EPIPE"];
+
+const CREATED_AT = Symbol("createdAt");
+
+function resolveKeepAlive(value) {
+  if (!value) return null;
+  if (value !== true && (typeof value !== "object" || Array.isArray(value))) {
+    throw new Error("keepAlive must be true, false or an object");
+  }
+  const config = { ...DEFAULTS, ...(typeof value === "object" ? value : {}) };
+  for (const name of ["maxSockets", "maxFreeSockets", "freeSocketTimeout"]) {
+    if (!(config[name] > 0)) {
+      throw new Error(`keepAlive.${name} must be a positive number`);
+    }
+  }
+  if (!(config.socketTtl >= 0)) {
+    throw new Error("keepAlive.socketTtl must be a non-negative number of milliseconds");
+  }
+  return { ...config, maxBodySize: parseSize(config.maxBodySize) };
+}
+
+// Whether a failed request was sent on a pooled connection that the upstream
+// closed before answering. The upstream never handled it, so it can be sent
+// again on a new connection whatever its method.
+function isStaleSocketError(error, proxyReq) {
+  return (
+    !!error &&
+    !!proxyReq &&
+    proxyReq.reusedSocket &&
+    !proxyReq.res &&
+    STALE_SOCKET_CODES.includes(error.code)
+  );
+}
+
+function countSockets(lists) {
+  return Object.values(lists).reduce((total, list) => total + list.length, 0);
+}
+
+// One agent per upstream origin (and TLS settings), so every upstream has a
+// pool of its own
+class UpstreamAgents {
+  constructor(keepAlive) {
+    this.config = resolveKeepAlive(keepAlive);
+    this.agents = new Map(); // origin, TLS settings and reuse -> agent
+    this.tlsOptions = new Map(); // TLS settings -> https.Agent options
+  }
+
+  // Reads CA and certificate files once per set of TLS settings; throws
+  // when they cannot be read
+  agentOptions(tlsConfig) {
+    const key = JSON.stringify(tlsConfig);
+    let options = this.tlsOptions.get(key);
+    if (!options) {
+      options = createUpstreamAgentOptions(tlsConfig);
+      this.tlsOptions.set(key, options);
+    }
+    return options;
+  }
+
+  // `reuse: false` gives an agent that opens a new connection per request,
+  // for upgrades, health probes and bodies that cannot be sent twice
+  get(url, tlsConfig, { reuse = true } = {}) {
+    const { protocol, host } = new URL(url);
+    const secure = protocol === "https:";
+    const pooled = reuse && !!this.config;
+    const key = `${pooled ? "pooled" : "single"} ${protocol}//${host}${
+      secure ? ` ${JSON.stringify(tlsConfig)}` : ""
+    }`;
+    let entry = this.agents.get(key);
+    if (!entry) {
+      const Agent = secure ? https.Agent : http.Agent;
+      const options = secure ? this.agentOptions(tlsConfig) : {};
+      const agent = pooled
+        ? this.createPooledAgent(Agent, options)
+        : new Agent({ ...options, keepAlive: false });
+      entry = { origin: `${protocol}//${host}`, agent };
+      this.agents.set(key, entry);
+    }
+    return entry.agent;
+  }
+
+  createPooledAgent(Agent, options) {
+    const { maxSockets, maxFreeSockets, freeSocketTimeout, socketTtl } = this.config;
+    const agent = new Agent({
+      ...options,
+      keepAlive: true,
+      maxSockets,
+      maxFreeSockets,
+      // Idle sockets are closed after this; requests set their own timeout
+      timeout: freeSocketTimeout,
+      // The most recently used socket is the least likely to be stale
+      scheduling: "lifo",
+    });
+    const createConnection = agent.createConnection;
+    agent.createConnection = function (...args) {
+      const socket = createConnection.apply(this, args);
+      if (socket) socket[CREATED_AT] = Date.now();
+      return socket;
+    };
+    // Called when a response is done; false closes the socket. An idle
+    // socket is closed no later than the end of its TTL.
+    agent.keepSocketAlive = function (socket) {
+      const left = socketTtl ? socket[CREATED_AT] + socketTtl - Date.now() : Infinity;
+      if (left <= 0 || !Agent.prototype.keepSocketAlive.call(this, socket)) return false;
+      if (left < socket.timeout) socket.setTimeout(left);
+      return true;
+    };
+    return agent;
+  }
+
+  // Whether a request body is read into memory before it is sent, so the
+  // request can go out on a pooled connection
+  keepsBody(req) {
+    const length = Number(req.headers["content-length"]);
+    return !!this.config && length > 0 && length <= this.config.maxBodySize;
+  }
+
+  // { active, idle, queued } connections and requests of an upstream
+  stats(url) {
+    const { origin } = new URL(url);
+    const result = { active: 0, idle: 0, queued: 0 };
+    for (const entry of this.agents.values()) {
+      if (entry.origin !== origin) continue;
+      result.active += countSockets(entry.agent.sockets);
+      result.idle += countSockets(entry.agent.freeSockets);
+      result.queued += countSockets(entry.agent.requests);
+    }
+    return result;
+  }
+
+  // Connections in use are left to finish their requests
+  closeIdleSockets() {
+    for (const { agent } of this.agents.values()) {
+      for (const sockets of Object.values(agent.freeSockets)) {
+        for (const socket of sockets) socket.destroy();
+      }
+    }
+  }
+}
+
+module.exports = { UpstreamAgents, resolveKeepAlive, isStaleSocketError };
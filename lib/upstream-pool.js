@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+const { CLIENT_IP } = require("./guards");
+const { CircuitBreaker } = require("./circuit-breaker");
+
+const STRATEGIES = ["round-robin", "weighted", "least-connections", "ip-hash"];
+
+// Turn a route value into a list of { url, weight } targets.
+// Accepts "http://a", ["http://a", "http://b"], [{ url, weight }, ...]
+// or an object with a `target` field holding any of the above.
+function normalizeTargets(value) {
+  if (value && !Array.isArray(value) && typeof value === "object") {
+    return normalizeTargets(value.target);
+  }
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0) {
+    throw new Error("no upstream targets given");
+  }
+  return list.map((entry) => {
+    const url = typeof entry === "string" ? entry : entry && entry.url;
+    if (typeof url !== "string" || !url) {
+      throw new Error(`invalid upstream target: ${JSON.stringify(entry)}`);
+    }
+    new URL(url); // throws on malformed URLs
+    const weight =
+      entry && typeof entry === "object" && entry.weight !== undefined
+        ? Number(entry.weight)
+        : 1;
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`invalid weight for upstream ${url}: ${entry.weight}`);
+    }
+    return { url, weight };
+  });
+}
+
+// Per-target concurrency limit: a number, or { max, queueSize, queueTimeout }
+function normalizeConcurrency(value) {
+  if (value === undefined || value === null) return null;
+  const config = typeof value === "number" ? { max: value } : value;
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("concurrency must be a number or an object");
+  }
+  const { max, queueSize = 100, queueTimeout = 30_000 } = config;
+  if (!Number.isInteger(max) || max <= 0) {
+    throw new Error("concurrency.max must be a positive integer");
+  }
+  if (!Number.isInteger(queueSize) || queueSize < 0) {
+    throw new Error("concurrency.queueSize must be a non-negative integer");
+  }
+  if (!Number.isFinite(queueTimeout) || queueTimeout <= 0) {
+    throw new Error("concurrency.queueTimeout must be a positive number of milliseconds");
+  }
+  return { max, queueSize, queueTimeout };
+}
+
+class UpstreamPool {
+  // `onCircuitChange(url, state, reason)` hears the targets' breakers change
+  constructor(value, { onCircuitChange = null } = {}) {
+    const targets = normalizeTargets(value);
+    const explicit =
+      value && !Array.isArray(value) && typeof value === "object"
+        ? value.strategy
+        : undefined;
+    // Weights imply the weighted strategy unless one was chosen explicitly
+    const strategy =
+      explicit ||
+      (targets.some((t) => t.weight !== 1) ? "weighted" : "round-robin");
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `unknown load balancing strategy "${strategy}" (expected one of: ${STRATEGIES.join(", ")})`
+      );
+    }
+
+    this.strategy = strategy;
+    const isObject = value && !Array.isArray(value) && typeof value === "object";
+    this.healthCheck = isObject ? value.healthCheck : undefined;
+    this.tls = isObject ? value.tls : undefined; // resolved upstream TLS settings
+    this.concurrency = normalizeConcurrency(isObject ? value.concurrency : undefined);
+    // Resolved breaker settings (see circuit-breaker.js), or null
+    this.circuitBreaker = (isObject && value.circuitBreaker) || null;
+    this.queue = []; // requests waiting for a free slot
+    this.targets = targets.map((t) => ({
+      url: t.url,
+      weight: t.weight,
+      activeConnections: 0,
+      currentWeight: 0, // smooth weighted round-robin state
+      breaker: this.circuitBreaker
+        ? new CircuitBreaker(
+            this.circuitBreaker,
+            onCircuitChange && ((state, reason) => onCircuitChange(t.url, state, reason))
+          )
+        : null,
+    }));
+    this.cursor = 0;
+  }
+
+  get size() {
+    return this.targets.length;
+  }
+
+  // Pick the next upstream for a request and count it as in-flight.
+  // Callers must hand the target back via release() once the response is done.
+  // Targets rejected by `isAvailable` are skipped while any alternative is left;
+  // targets with an open circuit are always skipped.
+  // Returns null when every target is at its concurrency limit or open.
+  acquire(req, isAvailable = null) {
+    const candidates = this.candidates(isAvailable).filter((t) => this.hasFreeSlot(t));
+    const target = this.select(req, candidates);
+    if (target) {
+      target.activeConnections++;
+      if (target.breaker) target.breaker.admit();
+    }
+    return target;
+  }
+
+  candidates(isAvailable) {
+    const allowed = this.targets.filter((t) => !t.breaker || t.breaker.isAllowed());
+    if (isAvailable) {
+      const healthy = allowed.filter((t) => isAvailable(t.url));
+      if (healthy.length > 0) {
+        return healthy;
+      }
+    }
+    return allowed;
+  }
+
+  // Whether acquire() came back empty because every circuit is open
+  isCircuitOpen() {
+    const usable = this.targets.filter((t) => t.weight > 0);
+    return usable.length > 0 && usable.every((t) => t.breaker && !t.breaker.isAllowed());
+  }
+
+  // Seconds until the first open circuit lets requests through again
+  circuitRetryAfter() {
+    const waits = this.targets.filter((t) => t.breaker).map((t) => t.breaker.retryAfter());
+    return waits.length > 0 ? Math.min(...waits) : 1;
+  }
+
+  // Feeds the target's breaker: { status }, { error }, or null when the
+  // client went away first
+  recordResult(url, result) {
+    const target = this.targets.find((t) => t.url === url);
+    if (target && target.breaker) {
+      target.breaker.record(result);
+    }
+  }
+
+  hasFreeSlot(target) {
+    return !this.concurrency || target.activeConnections < this.concurrency.max;
+  }
+
+  // Whether acquire() came back empty because of the concurrency limit
+  isAtCapacity(isAvailable = null) {
+    if (!this.concurrency) return false;
+    const usable = this.candidates(isAvailable).filter((t) => t.weight > 0);
+    return usable.length > 0 && !usable.some((t) => this.hasFreeSlot(t));
+  }
+
+  // Wait for a free slot. `done(error, target)` is called once, with an error
+  // coded QUEUE_TIMEOUT if none frees up in time. Returns a function that
+  // cancels the wait, or null when the queue is already full.
+  waitForTarget(req, isAvailable, done) {
+    if (this.queue.length >= this.concurrency.queueSize) {
+      return null;
+    }
+    const waiter = { req, isAvailable, done, timer: null };
+    const remove = () => {
+      clearTimeout(waiter.timer);
+      const index = this.queue.indexOf(waiter);
+      if (index !== -1) this.queue.splice(index, 1);
+    };
+    waiter.timer = setTimeout(() => {
+      remove();
+      const error = new Error(
+        `no upstream slot within ${this.concurrency.queueTimeout}ms`
+      );
+      error.code = "QUEUE_TIMEOUT";
+      done(error);
+    }, this.concurrency.queueTimeout);
+    this.queue.push(waiter);
+    return remove;
+  }
+
+  release(target) {
+    if (target && target.activeConnections > 0) {
+      target.activeConnections--;
+    }
+    this.drainQueue();
+  }
+
+  // Hand freed slots to waiting requests in arrival order
+  drainQueue() {
+    while (this.queue.length > 0) {
+      const waiter = this.queue[0];
+      const target = this.acquire(waiter.req, waiter.isAvailable);
+      if (!target) return;
+      this.queue.shift();
+      clearTimeout(waiter.timer);
+      waiter.done(null, target);
+    }
+  }
+
+  select(req, candidates = this.targets) {
+    const available = candidates.filter((t) => t.weight > 0);
+    if (available.length === 0) return null;
+    if (available.length === 1) return available[0];
+
+    switch (this.strategy) {
+      case "weighted":
+        return this.selectWeighted(available);
+      case "least-connections":
+        return this.selectLeastConnections(available);
+      case "ip-hash":
+        return this.selectIpHash(available, req);
+      default:
+        return available[this.cursor++ % available.length];
+    }
+  }
+
+  // nginx-style smooth weighted round-robin
+  selectWeighted(available) {
+    let total = 0;
+    let best = null;
+    for (const t of available) {
+      t.currentWeight += t.weight;
+      total += t.weight;
+      if (!best || t.currentWeight > best.currentWeight) {
+        best = t;
+      }
+    }
+    best.currentWeight -= total;
+    return best;
+  }
+
+  selectLeastConnections(available) {
+    // Rotate the starting point so ties are spread round-robin
+    const offset = this.cursor++ % available.length;
+    let best = null;
+    for (let i = 0; i < available.length; i++) {
+      const t = available[(offset + i) % available.length];
+      if (
+        !best ||
+        t.activeConnections / t.weight < best.activeConnections / best.weight
+      ) {
+        best = t;
+      }
+    }
+    return best;
+  }
+
+  // Hashed over every target, so clients keep their upstream when another
+  // one goes down; the clients of a target that is down move to the next one
+  selectIpHash(available, req) {
+    const ip = (req && (req[CLIENT_IP] || (req.socket && req.socket.remoteAddress))) || "";
+    const digest = crypto.createHash("md5").update(ip).digest();
+    const all = this.targets.filter((t) => t.weight > 0);
+    const start = digest.readUInt32BE(0) % all.length;
+    for (let i = 0; i < all.length; i++) {
+      const t = all[(start + i) % all.length];
+      if (available.includes(t)) return t;
+    }
+    return available[0];
+  }
+
+  describe() {
+    if (this.targets.length === 1) return this.targets[0].url;
+    const list = this.targets
+      .map((t) => (t.weight !== 1 ? `${t.url} (w=${t.weight})` : t.url))
+      .join(", ");
+    return `[${list}] ${this.strategy}`;
+  }
+}
+
+module.exports = { UpstreamPool, normalizeTargets, STRATEGIES };
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAdminServer } = require("../lib/admin-server");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+const logger = { info() {}, success() {}, error() {} };
+const auth = { authorization: "Bearer t0ken" };
+
+async function startAdmin(t, proxy) {
+  const admin = createAdminServer(proxy, { port: 0, token: "t0ken", logger });
+  const { port } = await admin.start();
+  t.after(() => admin.stop());
+  return port;
+}
+
+test("calls need the admin token", async (t) => {
+  const port = await startAdmin(t, { getRoutes: () => ({}) });
+  const refused = await request(port, { path: "/routes" });
+  assert.strictEqual(refused.status, 401);
+  assert.match(refused.headers["www-authenticate"], /^Bearer/);
+  const allowed = await request(port, { path: "/routes", headers: { "x-admin-token": "t0ken" } });
+  assert.deepStrictEqual(JSON.parse(allowed.body), { routes: {} });
+});
+
+test("oversized bodies are answered with 413", async (t) => {
+  const port = await startAdmin(t, { setRoute: () => assert.fail("route applied") });
+  const body = JSON.stringify({ target: "http://a.test", padding: "x".repeat(2 * 1024 * 1024) });
+  const declared = await request(port, { method: "PUT", path: "/routes/%2Fbig", headers: auth, body });
+  assert.strictEqual(declared.status, 413);
+  assert.deepStrictEqual(JSON.parse(declared.body), { error: "request body too large" });
+
+  // Without a Content-Length the body is read up to the limit
+  const chunked = await request(port, {
+    method: "PUT",
+    path: "/routes/%2Fbig",
+    headers: { ...auth, "transfer-encoding": "chunked" },
+    body,
+  });
+  assert.strictEqual(chunked.status, 413);
+});
+
+test("routes are changed live and only file and API routes are saved", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "frp-admin-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const routesFile = path.join(dir, "routes.json");
+  const upstream = await startUpstream(t, (req, res) => res.end(req.url));
+  fs.writeFileSync(routesFile, JSON.stringify({ "/file": upstream.url }));
+  const { proxy, port } = await startProxy(t, {
+    routes: { "/cli": upstream.url },
+    routesFile,
+  });
+  const adminPort = await startAdmin(t, proxy);
+
+  const put = await request(adminPort, {
+    method: "PUT",
+    path: "/routes/%2Fnew?persist=true",
+    headers: auth,
+    body: JSON.stringify(upstream.url),
+  });
+  assert.strictEqual(put.status, 200);
+  assert.strictEqual(JSON.parse(put.body).persisted, true);
+  assert.strictEqual((await request(port, { path: "/new" })).status, 200);
+  assert.strictEqual((await request(port, { path: "/cli" })).status, 200);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(routesFile, "utf8")), {
+    "/file": upstream.url,
+    "/new": upstream.url,
+  });
+
+  const bad = await request(adminPort, {
+    method: "PUT",
+    path: "/routes/%2Fbad",
+    headers: auth,
+    body: JSON.stringify({ target: "http://a.test", strategy: "random" }),
+  });
+  assert.strictEqual(bad.status, 400);
+  const removed = await request(adminPort, { method: "DELETE", path: "/routes/%2Fnew", headers: auth });
+  assert.strictEqual(removed.status, 200);
+  assert.strictEqual((await request(port, { path: "/new" })).status, 404);
+  assert.strictEqual(
+    (await request(adminPort, { method: "DELETE", path: "/routes/%2Fnew", headers: auth })).status,
+    404
+  );
+  // Reloading the file keeps the routes given programmatically
+  const reload = await request(adminPort, { method: "POST", path: "/reload", headers: auth });
+  assert.deepStrictEqual(Object.keys(JSON.parse(reload.body).routes), ["/cli", "/file", "/new"]);
+});
@@ -0,0 +1,270 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+const now = () => Math.floor(Date.now() / 1000);
+const sha1 = (text) => crypto.createHash("sha1").update(text).digest("base64");
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function signHs256(claims, secret, header = {}) {
+  const data = `${base64url({ alg: "HS256", typ: "JWT", ...header })}.${base64url(claims)}`;
+  return `${data}.${crypto.createHmac("sha256", secret).update(data).digest("base64url")}`;
+}
+
+function signRs256(claims, privateKey, header = {}) {
+  const data = `${base64url({ alg: "RS256", typ: "JWT", ...header })}.${base64url(claims)}`;
+  return `${data}.${crypto.sign("sha256", Buffer.from(data), privateKey).toString("base64url")}`;
+}
+
+function tempFile(t, name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "frp-auth-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const basic = (user, password) => ({
+  authorization: `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}`,
+});
+
+test("basic auth checks bcrypt and {SHA} hashes from htpasswd files and users", async (t) => {
+  const seen = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    seen.push(req.headers["x-user"]);
+    res.end("ok");
+  });
+  const htpasswd = tempFile(
+    t,
+    "users.htpasswd",
+    `# team\nann:${bcrypt.hashSync("pw-ann", 4)}\n\nbob:{SHA}${sha1("pw-bob")}\n`
+  );
+  const { port } = await startProxy(t, {
+    routes: {
+      "/admin": {
+        target: upstream.url,
+        auth: {
+          type: "basic",
+          htpasswd,
+          users: { cy: bcrypt.hashSync("pw-cy", 4) },
+          realm: "Admin",
+          forwardClaims: { sub: "X-User" },
+        },
+      },
+    },
+  });
+  const get = (headers) => request(port, { path: "/admin", headers });
+
+  const missing = await get({});
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.headers["www-authenticate"], 'Basic realm="Admin", charset="UTF-8"');
+  assert.strictEqual((await get(basic("ann", "pw-ann"))).status, 200);
+  // Verified credentials are remembered; a wrong password still is not
+  assert.strictEqual((await get(basic("ann", "pw-ann"))).status, 200);
+  assert.strictEqual((await get(basic("ann", "wrong"))).status, 401);
+  assert.strictEqual((await get(basic("bob", "pw-bob"))).status, 200);
+  assert.strictEqual((await get(basic("cy", "pw-cy"))).status, 200);
+  assert.strictEqual((await get(basic("dan", "pw-ann"))).status, 401);
+  assert.deepStrictEqual(seen, ["ann", "ann", "bob", "cy"]);
+
+  const plain = { type: "basic", users: { eve: "plain" } };
+  await assert.rejects(
+    startProxy(t, { routes: { "/x": { target: upstream.url, auth: plain } } }),
+    /unsupported password hash for "eve"/
+  );
+});
+
+test("RS256 tokens are verified with the JWKS key of their kid", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const pair = () => crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const first = pair();
+  const second = pair();
+  const outsider = pair();
+  const jwk = (publicKey, kid) => ({ ...publicKey.export({ format: "jwk" }), kid, use: "sig" });
+  const jwks = tempFile(
+    t,
+    "jwks.json",
+    JSON.stringify({ keys: [jwk(first.publicKey, "one"), jwk(second.publicKey, "two")] })
+  );
+  const { port } = await startProxy(t, {
+    routes: { "/api": { target: upstream.url, auth: { type: "jwt", jwks } } },
+  });
+  const claims = { sub: "ann", exp: now() + 60 };
+  const get = (token) => request(port, { path: "/api", headers: { authorization: `Bearer ${token}` } });
+
+  assert.strictEqual((await get(signRs256(claims, second.privateKey, { kid: "two" }))).status, 200);
+  // Without a kid every key is tried
+  assert.strictEqual((await get(signRs256(claims, first.privateKey))).status, 200);
+  const wrongKid = await get(signRs256(claims, first.privateKey, { kid: "two" }));
+  assert.strictEqual(wrongKid.status, 401);
+  assert.match(wrongKid.headers["www-authenticate"], /bad signature/);
+  assert.strictEqual((await get(signRs256(claims, outsider.privateKey))).status, 401);
+  // A secret-less policy takes no HS256 tokens, and never unsigned ones
+  const hs256 = await get(signHs256(claims, "s3cret"));
+  assert.match(hs256.headers["www-authenticate"], /algorithm HS256 not allowed/);
+  const unsigned = `${base64url({ alg: "none" })}.${base64url(claims)}.`;
+  assert.match((await get(unsigned)).headers["www-authenticate"], /algorithm none not allowed/);
+});
+
+test("issuer and audience give 401, required claims 403", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { port } = await startProxy(t, {
+    routes: {
+      "/api": {
+        target: upstream.url,
+        auth: {
+          type: "jwt",
+          secret: "s3cret",
+          issuer: "https://login.example.com/",
+          audience: "api",
+          claims: { "realm_access.roles": "admin" },
+        },
+      },
+    },
+  });
+  const valid = {
+    iss: "https://login.example.com/",
+    aud: ["web", "api"],
+    exp: now() + 60,
+    realm_access: { roles: ["user", "admin"] },
+  };
+  const get = (claims) =>
+    request(port, { path: "/api", headers: { authorization: `Bearer ${signHs256(claims, "s3cret")}` } });
+
+  assert.strictEqual((await get(valid)).status, 200);
+  const issuer = await get({ ...valid, iss: "https://evil.example.com/" });
+  assert.strictEqual(issuer.status, 401);
+  assert.match(issuer.headers["www-authenticate"], /issuer not accepted/);
+  const audience = await get({ ...valid, aud: "web" });
+  assert.strictEqual(audience.status, 401);
+  assert.match(audience.headers["www-authenticate"], /audience not accepted/);
+  const forbidden = await get({ ...valid, realm_access: { roles: ["user"] } });
+  assert.strictEqual(forbidden.status, 403);
+  assert.match(forbidden.headers["www-authenticate"], /insufficient_scope/);
+  const early = await get({ ...valid, nbf: now() + 120 });
+  assert.match(early.headers["www-authenticate"], /token not yet valid/);
+  const forged = base64url({ ...valid, aud: "x" });
+  const tampered = signHs256(valid, "s3cret").replace(/\.[^.]+\./, `.${forged}.`);
+  const bad = await request(port, { path: "/api", headers: { authorization: `Bearer ${tampered}` } });
+  assert.match(bad.headers["www-authenticate"], /bad signature/);
+});
+
+test("forwarded claims replace the client's own copies of their headers", async (t) => {
+  const seen = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    seen.push({ id: req.headers["x-user-id"], roles: req.headers["x-user-roles"] });
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, {
+    routes: {
+      "/api": {
+        target: upstream.url,
+        auth: {
+          type: "jwt",
+          secret: "s3cret",
+          forwardClaims: { sub: "X-User-Id", "realm_access.roles": "X-User-Roles" },
+        },
+      },
+    },
+  });
+  const spoofed = { "x-user-id": "admin", "x-user-roles": "admin" };
+  const get = (claims) =>
+    request(port, {
+      path: "/api",
+      headers: { ...spoofed, authorization: `Bearer ${signHs256(claims, "s3cret")}` },
+    });
+
+  await get({ sub: "ann", exp: now() + 60, realm_access: { roles: ["user", "dev"] } });
+  await get({ exp: now() + 60 });
+  assert.deepStrictEqual(seen, [
+    { id: "ann", roles: "user,dev" },
+    { id: undefined, roles: undefined },
+  ]);
+});
+
+test("API keys are read from the query string and not forwarded", async (t) => {
+  const seen = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    seen.push(req.url);
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, {
+    routes: {
+      "/key": {
+        target: upstream.url,
+        auth: { type: "apiKey", keys: ["k1"], query: "api_key" },
+      },
+    },
+  });
+
+  assert.strictEqual((await request(port, { path: "/key?api_key=k1&page=2" })).status, 200);
+  assert.deepStrictEqual(seen, ["/key?page=2"]);
+  assert.strictEqual((await request(port, { path: "/key?api_key=k1" })).status, 200);
+  assert.strictEqual(seen[1], "/key");
+  assert.strictEqual((await request(port, { path: "/key?api_key=wrong" })).status, 401);
+  assert.strictEqual((await request(port, { path: "/key" })).status, 401);
+  assert.strictEqual(seen.length, 2);
+});
+
+test("accepted credentials are not forwarded unless the policy asks", async (t) => {
+  const seen = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    seen.push(req.headers);
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, {
+    routes: {
+      "/key": { target: upstream.url, auth: { type: "apiKey", keys: ["k1"], header: "X-Token" } },
+      "/basic": {
+        target: upstream.url,
+        auth: { type: "basic", users: { ann: `{SHA}${sha1("pw")}` } },
+      },
+      "/jwt": {
+        target: upstream.url,
+        auth: { type: "jwt", secret: "s3cret", cookie: "session" },
+      },
+      "/forward": {
+        target: upstream.url,
+        auth: { type: "apiKey", keys: ["k1"], forwardCredentials: true },
+      },
+    },
+  });
+
+  await request(port, { path: "/key", headers: { "x-token": "k1" } });
+  await request(port, {
+    path: "/basic",
+    headers: { authorization: `Basic ${Buffer.from("ann:pw").toString("base64")}` },
+  });
+  const token = signHs256({ sub: "ann", exp: now() + 60 }, "s3cret");
+  await request(port, { path: "/jwt", headers: { cookie: `theme=dark; session=${token}` } });
+  await request(port, { path: "/forward", headers: { "x-api-key": "k1" } });
+
+  assert.strictEqual(seen.length, 4);
+  assert.strictEqual(seen[0]["x-token"], undefined);
+  assert.strictEqual(seen[1].authorization, undefined);
+  assert.strictEqual(seen[2].cookie, "theme=dark");
+  assert.strictEqual(seen[3]["x-api-key"], "k1");
+});
+
+test("JWTs need an exp claim unless requireExp is off", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { port } = await startProxy(t, {
+    routes: {
+      "/strict": { target: upstream.url, auth: { type: "jwt", secret: "s3cret" } },
+      "/lax": { target: upstream.url, auth: { type: "jwt", secret: "s3cret", requireExp: false } },
+    },
+  });
+  const bearer = (claims) => ({ authorization: `Bearer ${signHs256(claims, "s3cret")}` });
+
+  const noExp = await request(port, { path: "/strict", headers: bearer({ sub: "ann" }) });
+  assert.strictEqual(noExp.status, 401);
+  assert.match(noExp.headers["www-authenticate"], /token has no expiry/);
+  assert.strictEqual((await request(port, { path: "/lax", headers: bearer({ sub: "ann" }) })).status, 200);
+  const expired = bearer({ sub: "ann", exp: now() - 10 });
+  assert.strictEqual((await request(port, { path: "/lax", headers: expired })).status, 401);
+});
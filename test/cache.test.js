@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ResponseCache } = require("../lib/cache");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+const req = (headers = {}) => ({ method: "GET", headers });
+
+test("cache sizes are counted in bytes", async (t) => {
+  const cache = new ResponseCache({ maxSize: 1000 });
+  const headers = { "cache-control": "max-age=60", "x-note": "é".repeat(300) };
+  const entry = cache.store("key-1", req(), 200, headers, Buffer.from("ok"), undefined);
+  assert.strictEqual(entry.size, 2 + Buffer.byteLength(JSON.stringify(headers)));
+  assert.ok(entry.size > JSON.stringify(headers).length);
+  assert.strictEqual(cache.size, entry.size);
+  // A second entry of the same size no longer fits next to the first
+  cache.store("key-2", req(), 200, headers, Buffer.from("ok"), undefined);
+  assert.deepStrictEqual([...cache.entries.keys()], ["key-2"]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "frp-cache-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const disk = new ResponseCache({ dir });
+  disk.store("ключ", req(), 200, headers, Buffer.from("ok"), undefined);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const [file] = fs.readdirSync(dir);
+  assert.strictEqual(disk.diskSize, fs.statSync(path.join(dir, file)).size);
+});
+
+test("fresh responses are served from the cache, per Vary variant", async (t) => {
+  let hits = 0;
+  const upstream = await startUpstream(t, (req, res) => {
+    hits++;
+    res.setHeader("Cache-Control", "max-age=60");
+    res.setHeader("Vary", "Accept-Language");
+    res.end(`${req.headers["accept-language"]} ${hits}`);
+  });
+  const { port } = await startProxy(t, { cache: true, routes: { "/page": upstream.url } });
+  const get = (language) => request(port, { path: "/page", headers: { "accept-language": language } });
+
+  const first = await get("en");
+  assert.strictEqual(first.headers["x-cache"], "MISS");
+  const second = await get("en");
+  assert.strictEqual(second.headers["x-cache"], "HIT");
+  assert.strictEqual(second.body, "en 1");
+  assert.strictEqual((await get("de")).body, "de 2");
+  assert.strictEqual((await get("de")).body, "de 2");
+  const bypass = await request(port, {
+    path: "/page",
+    headers: { "accept-language": "en", "cache-control": "no-cache" },
+  });
+  assert.strictEqual(bypass.body, "en 3");
+  assert.strictEqual(hits, 3);
+});
+
+test("stale entries are revalidated with their ETag", async (t) => {
+  const conditionals = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    conditionals.push(req.headers["if-none-match"]);
+    res.setHeader("ETag", '"v1"');
+    res.setHeader("Cache-Control", "max-age=0");
+    if (req.headers["if-none-match"] === '"v1"') {
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
+    res.end("body v1");
+  });
+  const { port } = await startProxy(t, { cache: true, routes: { "/doc": upstream.url } });
+
+  assert.strictEqual((await request(port, { path: "/doc" })).headers["x-cache"], "MISS");
+  const revalidated = await request(port, { path: "/doc" });
+  assert.strictEqual(revalidated.status, 200);
+  assert.strictEqual(revalidated.body, "body v1");
+  assert.deepStrictEqual(conditionals, [undefined, '"v1"']);
+
+  // The client's own conditional is answered by the cache
+  const notModified = await request(port, { path: "/doc", headers: { "if-none-match": '"v1"' } });
+  assert.strictEqual(notModified.status, 304);
+});
+
+test("no-store and Set-Cookie responses are not cached", async (t) => {
+  let hits = 0;
+  const upstream = await startUpstream(t, (req, res) => {
+    hits++;
+    if (req.url === "/cookie") res.setHeader("Set-Cookie", "a=1");
+    res.setHeader("Cache-Control", req.url === "/nostore" ? "no-store" : "max-age=60");
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, { cache: true, routes: { "/{*rest}": upstream.url } });
+  for (const path of ["/nostore", "/nostore", "/cookie", "/cookie"]) {
+    await request(port, { path });
+  }
+  assert.strictEqual(hits, 4);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { CircuitBreaker, resolveCircuitBreaker } = require("../lib/circuit-breaker");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("the error rate opens the circuit once there are enough requests", () => {
+  const changes = [];
+  const breaker = new CircuitBreaker(
+    resolveCircuitBreaker({ minRequests: 4, errorRate: 0.5, consecutiveFailures: 10 }),
+    (state, reason) => changes.push(`${state}: ${reason}`)
+  );
+  breaker.record({ status: 200 });
+  breaker.record({ status: 404 }); // Not a failure status
+  breaker.record({ status: 503 });
+  assert.strictEqual(breaker.isAllowed(), true);
+  breaker.record({ error: Object.assign(new Error("refused"), { code: "ECONNREFUSED" }) });
+  assert.deepStrictEqual(changes, [
+    "open: 2 of 4 requests failed in 30s, last: ECONNREFUSED",
+  ]);
+  assert.strictEqual(breaker.isAllowed(), false);
+  assert.ok(breaker.retryAfter() >= 29);
+
+  assert.throws(() => resolveCircuitBreaker({ errorRate: 2 }), /errorRate must be .* up to 1/);
+  assert.throws(() => resolveCircuitBreaker({ minRequests: 1.5 }), /minRequests must be .* integer/);
+  assert.strictEqual(resolveCircuitBreaker(false, { window: 1000 }), null);
+  assert.strictEqual(resolveCircuitBreaker(undefined, { window: 1000 }).window, 1000);
+});
+
+test("an open circuit fails fast, then closes after a successful trial", async (t) => {
+  let status = 503;
+  let calls = 0;
+  const upstream = await startUpstream(t, (req, res) => {
+    calls++;
+    res.writeHead(status);
+    res.end();
+  });
+  const { proxy, port } = await startProxy(t, {
+    metrics: true,
+    routes: {
+      "/api": {
+        target: upstream.url,
+        retry: false,
+        circuitBreaker: { consecutiveFailures: 2, openDuration: 300 },
+      },
+    },
+  });
+  const circuit = () => proxy.getUpstreams()[0].targets[0].circuit;
+
+  assert.strictEqual((await request(port, { path: "/api" })).status, 503);
+  assert.strictEqual((await request(port, { path: "/api" })).status, 503);
+  assert.strictEqual(circuit().state, "open");
+  assert.strictEqual(circuit().lastFailure, "status 503");
+
+  const rejected = await request(port, { path: "/api" });
+  assert.strictEqual(rejected.status, 503);
+  assert.strictEqual(rejected.headers["retry-after"], "1");
+  assert.strictEqual(calls, 2);
+  const metrics = (await request(port, { path: "/metrics" })).body;
+  assert.match(metrics, /frp_requests_rejected_total\{[^}]*reason="circuit_open"[^}]*\} 1/);
+
+  // A failed trial opens the circuit again...
+  await sleep(350);
+  assert.strictEqual((await request(port, { path: "/api" })).status, 503);
+  assert.strictEqual(calls, 3);
+  assert.strictEqual(circuit().state, "open");
+
+  // ...and a successful one closes it
+  await sleep(350);
+  status = 200;
+  assert.strictEqual((await request(port, { path: "/api" })).status, 200);
+  assert.strictEqual(circuit().state, "closed");
+  assert.strictEqual((await request(port, { path: "/api" })).status, 200);
+  assert.strictEqual(calls, 5);
+});
+
+test("other targets take the traffic of an open circuit", async (t) => {
+  const broken = await startUpstream(t, (req, res) => {
+    res.writeHead(502);
+    res.end("broken");
+  });
+  const healthy = await startUpstream(t, (req, res) => res.end("healthy"));
+  const { port } = await startProxy(t, {
+    routes: {
+      "/api": {
+        target: [broken.url, healthy.url],
+        retry: false,
+        circuitBreaker: { consecutiveFailures: 1, openDuration: 60_000 },
+      },
+    },
+  });
+  const bodies = [];
+  for (let i = 0; i < 4; i++) bodies.push((await request(port, { path: "/api" })).body);
+  assert.strictEqual(bodies.filter((body) => body === "broken").length, 1);
+  assert.deepStrictEqual(bodies.slice(-2), ["healthy", "healthy"]);
+});
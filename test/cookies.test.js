@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compileCookieRewrite, normalizeCookieRewrite } = require("../lib/cookies");
+const { normalizeRoute } = require("../lib/route-config");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+test("Set-Cookie domains, paths and Secure flags are rewritten per route", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => {
+    res.setHeader("Set-Cookie", [
+      "session=abc; Domain=.Staging.example.com; Path=/; Secure; SameSite=None; HttpOnly",
+      "theme=dark; Domain=cdn.example.com; Path=/assets",
+    ]);
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, {
+    cookieDomainRewrite: { "*": "example.test" },
+    routes: {
+      "/api": {
+        target: upstream.url,
+        cookieDomainRewrite: { "staging.example.com": "" },
+        cookiePathRewrite: { "/": "/api" },
+        stripSecureCookies: true,
+      },
+      "/default": upstream.url,
+      "/off": { target: upstream.url, cookieDomainRewrite: false },
+    },
+  });
+
+  const api = await request(port, { path: "/api" });
+  assert.deepStrictEqual(api.headers["set-cookie"], [
+    "session=abc; Path=/api; HttpOnly",
+    "theme=dark; Domain=cdn.example.com; Path=/assets",
+  ]);
+  const defaults = await request(port, { path: "/default" });
+  assert.deepStrictEqual(defaults.headers["set-cookie"], [
+    "session=abc; Domain=example.test; Path=/; Secure; SameSite=None; HttpOnly",
+    "theme=dark; Domain=example.test; Path=/assets",
+  ]);
+  const off = await request(port, { path: "/off" });
+  assert.match(off.headers["set-cookie"][0], /Domain=\.Staging\.example\.com/);
+});
+
+test("cookie rewrite settings are validated", () => {
+  assert.deepStrictEqual(normalizeCookieRewrite("", "cookieDomainRewrite"), { "*": "" });
+  assert.strictEqual(normalizeCookieRewrite(false, "cookieDomainRewrite"), null);
+  assert.throws(
+    () => normalizeCookieRewrite(["/"], "cookiePathRewrite"),
+    /must be a string, an object or false/
+  );
+  assert.throws(
+    () => normalizeRoute("/x", { target: "http://a", cookiePathRewrite: { "/": 1 } }),
+    /cookiePathRewrite\["\/"\] must be a string/
+  );
+  assert.strictEqual(compileCookieRewrite({}, {}), null);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compileCorsPolicy } = require("../lib/cors");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+const preflight = (origin) => ({
+  method: "OPTIONS",
+  path: "/api",
+  headers: {
+    origin,
+    "access-control-request-method": "PUT",
+    "access-control-request-headers": "x-secret",
+  },
+});
+
+test("without an allow-list any origin gets * and no credentials", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { port } = await startProxy(t, { routes: { "/api": upstream.url } });
+
+  const res = await request(port, preflight("https://evil.example"));
+  assert.strictEqual(res.status, 204);
+  assert.strictEqual(res.headers["access-control-allow-origin"], "*");
+  assert.strictEqual(res.headers["access-control-allow-credentials"], undefined);
+  assert.strictEqual(
+    res.headers["access-control-allow-headers"],
+    "Content-Type, Authorization, X-Requested-With"
+  );
+
+  const get = await request(port, { path: "/api", headers: { origin: "https://evil.example" } });
+  assert.strictEqual(get.status, 200);
+  assert.strictEqual(get.headers["access-control-allow-origin"], "*");
+  assert.strictEqual(get.headers["access-control-allow-credentials"], undefined);
+});
+
+test("listed origins are reflected with credentials, others are refused", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, {
+    cors: { origins: ["http://localhost:5173", "https://*.example.com"] },
+    routes: { "/api": upstream.url },
+  });
+
+  const allowed = await request(port, preflight("https://app.example.com"));
+  assert.strictEqual(allowed.status, 204);
+  assert.strictEqual(allowed.headers["access-control-allow-origin"], "https://app.example.com");
+  assert.strictEqual(allowed.headers["access-control-allow-credentials"], "true");
+
+  const refused = await request(port, preflight("https://evil.example"));
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.headers["access-control-allow-origin"], undefined);
+
+  // The upstream's own CORS headers are replaced
+  const get = await request(port, { path: "/api", headers: { origin: "https://evil.example" } });
+  assert.strictEqual(get.status, 200);
+  assert.strictEqual(get.headers["access-control-allow-origin"], undefined);
+});
+
+test("pass-through forwards preflights and off strips CORS headers", async (t) => {
+  const methods = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    methods.push(req.method);
+    res.setHeader("Access-Control-Allow-Origin", "https://upstream.example");
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, {
+    routes: {
+      "/api": { target: upstream.url, cors: "pass-through" },
+      "/off": { target: upstream.url, cors: "off" },
+    },
+  });
+
+  const passed = await request(port, preflight("https://app.example.com"));
+  assert.strictEqual(passed.status, 200);
+  assert.deepStrictEqual(methods, ["OPTIONS"]);
+  assert.strictEqual(passed.headers["access-control-allow-origin"], "https://upstream.example");
+
+  const off = await request(port, { path: "/off", headers: { origin: "https://app.example.com" } });
+  assert.strictEqual(off.headers["access-control-allow-origin"], undefined);
+});
+
+test("credentials need an origins allow-list without *", () => {
+  assert.throws(() => compileCorsPolicy({ credentials: true }), /allow-list/);
+  assert.throws(() => compileCorsPolicy({ origins: ["*"], credentials: true }), /allow-list/);
+  assert.strictEqual(compileCorsPolicy({ origins: ["http://a.test"] }).credentials, true);
+  assert.strictEqual(
+    compileCorsPolicy({ origins: "http://a.test", credentials: false }).credentials,
+    false
+  );
+});
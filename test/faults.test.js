@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const { normalizeFaults } = require("../lib/faults");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+// Everything the proxy sends before it closes the connection
+function rawGet(port, path) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => {
+      socket.write(`GET ${path} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    const chunks = [];
+    socket.on("data", (chunk) => chunks.push(chunk));
+    socket.on("close", () => resolve(Buffer.concat(chunks).toString()));
+    socket.on("error", reject);
+  });
+}
+
+test("fault rules answer, delay, reset, throttle and truncate", async (t) => {
+  let calls = 0;
+  const upstream = await startUpstream(t, (req, res) => {
+    calls++;
+    res.setHeader("Content-Type", "text/plain");
+    res.end("x".repeat(3000));
+  });
+  const { port } = await startProxy(t, {
+    metrics: true,
+    routes: {
+      "/status": { target: upstream.url, faults: { status: 503, body: "injected" } },
+      "/slow": { target: upstream.url, faults: { latency: 200 } },
+      "/reset": { target: upstream.url, faults: { reset: true } },
+      "/throttle": { target: upstream.url, faults: { throttle: "10kb" } },
+      "/truncate": { target: upstream.url, faults: { truncate: 1000 } },
+      "/never": { target: upstream.url, faults: { status: 500, percent: 0 } },
+      "/disabled": { target: upstream.url, faults: { status: 500, enabled: false } },
+    },
+  });
+
+  const injected = await request(port, { path: "/status" });
+  assert.strictEqual(injected.status, 503);
+  assert.strictEqual(injected.body, "injected");
+  assert.strictEqual(calls, 0);
+
+  let started = Date.now();
+  assert.strictEqual((await request(port, { path: "/slow" })).status, 200);
+  assert.ok(Date.now() - started >= 190);
+
+  await assert.rejects(request(port, { path: "/reset" }), /socket hang up|ECONNRESET/);
+
+  started = Date.now();
+  const throttled = await request(port, { path: "/throttle" });
+  assert.strictEqual(throttled.body.length, 3000);
+  assert.ok(Date.now() - started >= 150);
+
+  const truncated = await rawGet(port, "/truncate");
+  const [head, body] = truncated.split("\r\n\r\n");
+  assert.match(head, /^HTTP\/1.1 200/);
+  assert.ok(body.replace(/\r\n|[0-9a-f]+\r\n/g, "").length <= 1000);
+  assert.ok(body.length < 3000);
+
+  assert.strictEqual((await request(port, { path: "/never" })).status, 200);
+  assert.strictEqual((await request(port, { path: "/disabled" })).status, 200);
+
+  const metrics = (await request(port, { path: "/metrics" })).body;
+  assert.match(metrics, /frp_faults_injected_total\{[^}]*\} /);
+});
+
+test("fault injection can be switched off and on", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { proxy, port } = await startProxy(t, {
+    faults: false,
+    routes: { "/api": { target: upstream.url, faults: { status: 500 } } },
+  });
+  assert.strictEqual((await request(port, { path: "/api" })).status, 200);
+  assert.strictEqual(proxy.toggleFaults(), true);
+  assert.strictEqual((await request(port, { path: "/api" })).status, 500);
+  assert.strictEqual(proxy.toggleFaults(false), false);
+  assert.strictEqual((await request(port, { path: "/api" })).status, 200);
+});
+
+test("fault rules are validated", () => {
+  assert.deepStrictEqual(normalizeFaults(undefined), []);
+  assert.strictEqual(normalizeFaults({ throttle: "64kb" })[0].throttle, 64 * 1024);
+  assert.throws(() => normalizeFaults({ percent: 50 }), /faults\[0\] needs one of latency/);
+  assert.throws(() => normalizeFaults([{ reset: true }, { status: 700 }]), /faults\[1\]\.status/);
+  assert.throws(() => normalizeFaults({ latency: -1 }), /non-negative milliseconds/);
+  assert.throws(() => normalizeFaults({ reset: true, percent: 101 }), /between 0 and 100/);
+});
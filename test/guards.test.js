@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compileGuards } = require("../lib/guards");
+const { normalizeRoute } = require("../lib/route-config");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+test("methods are a list or a comma-separated string", () => {
+  assert.deepStrictEqual(compileGuards({ methods: "get, head" }).methods, ["GET", "HEAD"]);
+  assert.deepStrictEqual(compileGuards({ methods: ["post"] }).methods, ["POST"]);
+  assert.strictEqual(compileGuards({}).methods, null);
+  assert.deepStrictEqual(normalizeRoute("/x", { target: "http://a", methods: "PUT" }).methods, [
+    "PUT",
+  ]);
+  assert.throws(() => compileGuards({ methods: 5 }), /methods must be a list/);
+  assert.throws(() => compileGuards({ methods: { GET: true } }), /methods must be a list/);
+  assert.throws(() => compileGuards({ methods: ["GET", 1] }), /1 is not an HTTP method/);
+  assert.throws(() => compileGuards({ methods: "GET,,HEAD" }), /"" is not an HTTP method/);
+  assert.throws(
+    () => normalizeRoute("/x", { target: "http://a", methods: "GET HEAD" }),
+    /"GET HEAD" is not an HTTP method/
+  );
+});
+
+test("addresses and CIDR ranges are allowed and denied", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { port } = await startProxy(t, {
+    guards: { ipDeny: ["192.0.2.0/24"] },
+    routes: {
+      "/open": upstream.url,
+      "/internal": { target: upstream.url, ipAllow: ["10.0.0.0/8"] },
+      "/local": { target: upstream.url, ipAllow: ["127.0.0.0/8", "::1"] },
+    },
+  });
+  assert.strictEqual((await request(port, { path: "/open" })).status, 200);
+  assert.strictEqual((await request(port, { path: "/local" })).status, 200);
+  assert.strictEqual((await request(port, { path: "/internal" })).status, 403);
+  // X-Forwarded-For is not read without trusted proxies
+  const forged = await request(port, {
+    path: "/internal",
+    headers: { "x-forwarded-for": "10.1.2.3" },
+  });
+  assert.strictEqual(forged.status, 403);
+  assert.throws(() => compileGuards({ ipAllow: ["10.0.0.0/33"] }), /invalid prefix length/);
+  assert.throws(() => compileGuards({ ipDeny: ["example.com"] }), /not an IP address/);
+});
+
+test("X-Forwarded-For names the client behind trusted proxies", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { port } = await startProxy(t, {
+    guards: { ipDeny: ["192.0.2.0/24"], trustedProxies: ["127.0.0.1", "10.0.0.5"] },
+    routes: { "/internal": { target: upstream.url, ipAllow: ["10.0.0.0/8"] } },
+  });
+  const from = (forwardedFor) =>
+    request(port, { path: "/internal", headers: { "x-forwarded-for": forwardedFor } });
+
+  assert.strictEqual((await from("10.1.2.3")).status, 200);
+  // Read from the right, skipping trusted proxies
+  assert.strictEqual((await from("10.9.9.9, 10.1.2.3, 10.0.0.5")).status, 200);
+  // The first untrusted hop is the client, whatever it claims before that
+  assert.strictEqual((await from("10.1.2.3, 192.0.2.7")).status, 403);
+  assert.strictEqual((await from("203.0.113.9")).status, 403);
+});
+
+test("oversized URLs, headers and bodies are refused", async (t) => {
+  const received = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      received.push(Buffer.concat(chunks).toString());
+      res.end("ok");
+    });
+  });
+  const { port } = await startProxy(t, {
+    metrics: true,
+    guards: { maxUrlLength: 40, maxHeaderCount: 10, maxHeaderSize: "1kb", maxBodySize: "16b" },
+    routes: {
+      "/api": upstream.url,
+      "/upload": { target: upstream.url, maxBodySize: "1kb" },
+    },
+  });
+
+  assert.strictEqual((await request(port, { path: `/api?q=${"x".repeat(40)}` })).status, 414);
+
+  const manyHeaders = {};
+  for (let i = 0; i < 12; i++) manyHeaders[`x-h${i}`] = "1";
+  assert.strictEqual((await request(port, { path: "/api", headers: manyHeaders })).status, 431);
+  const largeHeader = await request(port, { path: "/api", headers: { "x-big": "x".repeat(2000) } });
+  assert.strictEqual(largeHeader.status, 431);
+
+  const post = (path, body, headers = {}) =>
+    request(port, { method: "POST", path, body, headers });
+  assert.strictEqual((await post("/api", "x".repeat(20))).status, 413);
+  assert.strictEqual((await post("/api", "small")).status, 200);
+  assert.strictEqual((await post("/upload", "x".repeat(20))).status, 200);
+  // A chunked body is read up to the limit before it is refused
+  const chunked = await post("/api", "x".repeat(20), { "transfer-encoding": "chunked" });
+  assert.strictEqual(chunked.status, 413);
+  assert.deepStrictEqual(received, ["small", "x".repeat(20)]);
+
+  const metrics = (await request(port, { path: "/metrics" })).body;
+  for (const reason of ["url_too_long", "too_many_headers", "headers_too_large", "body_too_large"]) {
+    assert.match(metrics, new RegExp(`frp_requests_rejected_total\\{[^}]*reason="${reason}"`));
+  }
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+function tempFile(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "frp-har-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+test("recordings redact credentials and are appended to", async (t) => {
+  const file = tempFile(t, "session.har");
+  const upstream = await startUpstream(t, (req, res) => {
+    res.setHeader("Set-Cookie", "session=secret");
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ path: req.url }));
+  });
+
+  for (const path of ["/api/one", "/api/two"]) {
+    const { proxy, port } = await startProxy(t, {
+      record: file,
+      routes: { "/api/{*rest}": upstream.url },
+    });
+    const res = await request(port, {
+      path,
+      headers: { authorization: "Bearer secret", cookie: "a=secret", "x-api-key": "secret" },
+    });
+    assert.strictEqual(res.status, 200);
+    await proxy.stop();
+  }
+
+  const text = fs.readFileSync(file, "utf8");
+  assert.ok(!text.includes("secret"));
+  const { entries } = JSON.parse(text).log;
+  assert.deepStrictEqual(
+    entries.map((entry) => new URL(entry.request.url).pathname),
+    ["/api/one", "/api/two"]
+  );
+  const header = (list, name) => list.find((item) => item.name === name).value;
+  assert.strictEqual(header(entries[0].request.headers, "authorization"), "[REDACTED]");
+  assert.strictEqual(header(entries[0].request.headers, "x-api-key"), "[REDACTED]");
+  assert.strictEqual(header(entries[0].response.headers, "set-cookie"), "[REDACTED]");
+  assert.strictEqual(entries[1].response.content.text, '{"path":"/api/two"}');
+});
+
+test("replay answers recorded requests without the upstream", async (t) => {
+  const file = tempFile(t, "replay.har");
+  let hits = 0;
+  const upstream = await startUpstream(t, (req, res) => {
+    hits++;
+    res.setHeader("Set-Cookie", "session=secret");
+    res.end(`answer ${hits}`);
+  });
+  const recording = await startProxy(t, { record: file, routes: { "/api": upstream.url } });
+  await request(recording.port, { path: "/api" });
+  await request(recording.port, { path: "/api" });
+  await recording.proxy.stop();
+
+  const { port } = await startProxy(t, {
+    replay: { file, strict: true },
+    routes: { "/api": upstream.url },
+  });
+  const bodies = [];
+  for (let i = 0; i < 3; i++) {
+    const res = await request(port, { path: "/api" });
+    assert.strictEqual(res.headers["x-replay"], "HIT");
+    assert.strictEqual(res.headers["set-cookie"], undefined);
+    bodies.push(res.body);
+  }
+  assert.deepStrictEqual(bodies, ["answer 1", "answer 2", "answer 2"]);
+  assert.strictEqual((await request(port, { path: "/api?other" })).status, 404);
+  assert.strictEqual(hits, 2);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { HealthChecker } = require("../lib/health-checker");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+const pool = (url, healthCheck) => ({ targets: [{ url }], healthCheck });
+
+test("health check timings must be positive integers", () => {
+  for (const interval of [0, -5, NaN, 1.5, "1000"]) {
+    assert.throws(() => new HealthChecker({ defaults: { interval } }), /interval must be a positive integer/);
+  }
+  const checker = new HealthChecker();
+  assert.throws(() => checker.sync([pool("http://a.test", { path: "/h", timeout: 0 })]), /timeout/);
+  assert.throws(
+    () => checker.resolveConfig({ unhealthyThreshold: "3" }),
+    /unhealthyThreshold must be a positive integer/
+  );
+});
+
+test("invalid route health checks are named in the error", async (t) => {
+  await assert.rejects(
+    startProxy(t, { routes: { "/": { target: "http://a.test", healthCheck: { cooldown: 0 } } } }),
+    /Invalid route "\/": healthCheck.cooldown must be a positive integer/
+  );
+});
+
+test("routes sharing a target must agree on its health check", () => {
+  const checker = new HealthChecker();
+  assert.throws(
+    () =>
+      checker.sync([
+        pool("http://a.test", { path: "/health" }),
+        pool("http://a.test", { path: "/status" }),
+      ]),
+    /different health checks for http:\/\/a.test/
+  );
+  // A route without its own healthCheck follows the one that has it
+  checker.sync([pool("http://a.test"), pool("http://a.test", { path: "/health", interval: 60_000 })]);
+  assert.strictEqual(checker.states.get("http://a.test").config.path, "/health");
+  checker.stop();
+});
+
+test("active probes take a failing upstream out of rotation", async (t) => {
+  let up = true;
+  const failing = await startUpstream(t, (req, res) => {
+    res.statusCode = req.url === "/health" && !up ? 503 : 200;
+    res.end("one");
+  });
+  const healthy = await startUpstream(t, (req, res) => res.end("two"));
+  up = false;
+  const { proxy, port } = await startProxy(t, {
+    healthCheck: { path: "/health", interval: 20, unhealthyThreshold: 1 },
+    routes: { "/": { target: [failing.url, healthy.url], strategy: "round-robin" } },
+  });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  const bodies = [];
+  for (let i = 0; i < 4; i++) bodies.push((await request(port)).body);
+  assert.deepStrictEqual(bodies, ["two", "two", "two", "two"]);
+  const [{ targets }] = proxy.getUpstreams();
+  assert.strictEqual(targets.find((target) => target.url === failing.url).healthy, false);
+});
@@ -0,0 +1,48 @@
+const http = require("http");
+const { createProxyServer } = require("../lib/proxy-server");
+
+// The proxy logs to the console, which would be mixed into the test
+// runner's output; TEST_LOGS=1 shows it
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+}
+
+// Upstream server on a free port; `handler` answers its requests
+async function startUpstream(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Proxy on a free port, stopped when the test ends
+async function startProxy(t, config) {
+  const proxy = createProxyServer({ host: "127.0.0.1", ...config, port: 0 });
+  const { port } = await proxy.start();
+  t.after(() => proxy.stop());
+  return { proxy, port };
+}
+
+// Sends one request and resolves with { status, headers, body, raw }
+function request(port, { method = "GET", path = "/", headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: "127.0.0.1", port, method, path, headers, agent: false },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          const raw = Buffer.concat(chunks);
+          resolve({ status: res.statusCode, headers: res.headers, body: raw.toString(), raw });
+        });
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+module.exports = { startUpstream, startProxy, request };
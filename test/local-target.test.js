@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startProxy, request } = require("./helpers");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "frp-local-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("mocks answer with their status, headers, body and delay", async (t) => {
+  const dir = tempDir(t);
+  const fixture = path.join(dir, "users.json");
+  fs.writeFileSync(fixture, '[{"id":1}]');
+  const { port } = await startProxy(t, {
+    routes: {
+      "/orders": {
+        target: { status: 201, body: { id: 42 }, delay: 150 },
+        methods: ["POST"],
+      },
+      "/users": { target: { file: fixture } },
+      "/flaky": { target: { status: 503, headers: { "Retry-After": "5" }, body: "try later" } },
+    },
+  });
+
+  const started = Date.now();
+  const created = await request(port, { method: "POST", path: "/orders" });
+  assert.ok(Date.now() - started >= 140);
+  assert.strictEqual(created.status, 201);
+  assert.match(created.headers["content-type"], /^application\/json/);
+  assert.deepStrictEqual(JSON.parse(created.body), { id: 42 });
+  assert.strictEqual((await request(port, { path: "/orders" })).status, 405);
+
+  assert.strictEqual((await request(port, { path: "/users" })).body, '[{"id":1}]');
+  // Fixture files are read on every request
+  fs.writeFileSync(fixture, '[{"id":2}]');
+  assert.strictEqual((await request(port, { path: "/users" })).body, '[{"id":2}]');
+
+  const flaky = await request(port, { path: "/flaky" });
+  assert.strictEqual(flaky.status, 503);
+  assert.strictEqual(flaky.headers["retry-after"], "5");
+  assert.strictEqual(flaky.body, "try later");
+});
+
+test("file:// targets serve a directory, with revalidation and SPA fallback", async (t) => {
+  const root = tempDir(t);
+  const dist = path.join(root, "dist");
+  fs.mkdirSync(path.join(dist, "docs"), { recursive: true });
+  fs.writeFileSync(path.join(dist, "index.html"), "<p>app</p>");
+  fs.writeFileSync(path.join(dist, "docs", "index.html"), "<p>docs</p>");
+  fs.writeFileSync(path.join(dist, "app.js"), "run()");
+  fs.writeFileSync(path.join(root, "secret.txt"), "secret");
+  const { port } = await startProxy(t, {
+    routes: {
+      "/app{/*rest}": { target: `file://${dist}`, pathRewrite: "/app", spa: true },
+    },
+  });
+  const get = (urlPath, headers) => request(port, { path: urlPath, headers });
+
+  const script = await get("/app/app.js");
+  assert.strictEqual(script.status, 200);
+  assert.match(script.headers["content-type"], /javascript/);
+  assert.strictEqual(script.headers["cache-control"], "no-cache");
+  assert.strictEqual(script.body, "run()");
+  const revalidated = await get("/app/app.js", { "if-none-match": script.headers.etag });
+  assert.strictEqual(revalidated.status, 304);
+
+  assert.strictEqual((await get("/app/docs/")).body, "<p>docs</p>");
+  assert.strictEqual((await get("/app/settings/profile")).body, "<p>app</p>");
+  assert.strictEqual((await get("/app/missing.css")).status, 404);
+  const escaped = await get("/app/%2e%2e/secret.txt");
+  assert.strictEqual(escaped.status, 404);
+  assert.doesNotMatch(escaped.body, /secret/);
+  assert.strictEqual((await request(port, { method: "POST", path: "/app/app.js" })).status, 405);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const { loadPlugin } = require("../lib/plugins");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+test("hooks run in order, share state and edit requests and responses", async (t) => {
+  const seen = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    seen.push({ url: req.url, tag: req.headers["x-tag"] });
+    res.setHeader("X-Upstream", "yes");
+    res.end("ok");
+  });
+  const calls = [];
+  const first = {
+    name: "first",
+    async onRequest(req, res, context) {
+      calls.push(`first onRequest ${context.url}`);
+      context.state.startedBy = "first";
+      if (req.url === "/api/blocked") {
+        res.writeHead(451);
+        res.end("blocked by plugin");
+      }
+    },
+    onProxyReq(proxyReq, req, context) {
+      calls.push("first onProxyReq");
+      proxyReq.setHeader("X-Tag", context.state.startedBy);
+    },
+  };
+  const second = {
+    onRequest() {
+      calls.push("second onRequest");
+    },
+    onProxyRes(proxyRes, req, context) {
+      calls.push(`second onProxyRes ${context.upstream}`);
+      proxyRes.statusCode = 202;
+      delete proxyRes.headers["x-upstream"];
+      proxyRes.headers["x-plugin"] = "second";
+    },
+  };
+  const { port } = await startProxy(t, {
+    plugins: [first, second],
+    routes: { "/api/{*rest}": upstream.url },
+  });
+
+  const response = await request(port, { path: "/api/items" });
+  assert.strictEqual(response.status, 202);
+  assert.strictEqual(response.headers["x-upstream"], undefined);
+  assert.strictEqual(response.headers["x-plugin"], "second");
+  assert.deepStrictEqual(seen, [{ url: "/api/items", tag: "first" }]);
+  assert.deepStrictEqual(calls, [
+    "first onRequest /api/items",
+    "second onRequest",
+    "first onProxyReq",
+    `second onProxyRes ${upstream.url}`,
+  ]);
+
+  // A hook that answers ends the request there
+  calls.length = 0;
+  const blocked = await request(port, { path: "/api/blocked" });
+  assert.strictEqual(blocked.status, 451);
+  assert.strictEqual(blocked.body, "blocked by plugin");
+  assert.deepStrictEqual(calls, ["first onRequest /api/blocked"]);
+  assert.strictEqual(seen.length, 1);
+});
+
+test("bodies are transformed, and compressed ones re-encoded", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const received = JSON.parse(Buffer.concat(chunks));
+      const body = zlib.gzipSync(JSON.stringify({ received, link: `http://${req.headers.host}/next` }));
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Content-Encoding": "gzip",
+        "Content-Length": body.length,
+      });
+      res.end(body);
+    });
+  });
+  const plugin = {
+    onRequest(req, res, context) {
+      context.transformRequestBody((body) => ({ ...body, added: true }));
+      context.transformResponseBody(async (body) => ({ ...body, rewritten: true }));
+    },
+  };
+  const { port } = await startProxy(t, { plugins: [plugin], routes: { "/api": upstream.url } });
+
+  const response = await request(port, {
+    method: "POST",
+    path: "/api",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ name: "ann" }),
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers["content-encoding"], "gzip");
+  assert.strictEqual(Number(response.headers["content-length"]), response.raw.length);
+  const body = JSON.parse(zlib.gunzipSync(response.raw));
+  assert.deepStrictEqual(body.received, { name: "ann", added: true });
+  assert.strictEqual(body.rewritten, true);
+});
+
+test("a failing hook answers 500 unless onError answers", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const errors = [];
+  const failing = {
+    name: "failing",
+    onRequest(req) {
+      if (req.url !== "/ok") throw new Error("boom");
+    },
+  };
+  const handler = {
+    onError(error, req, res) {
+      errors.push(error.message);
+      if (req.url === "/handled") {
+        res.writeHead(418);
+        res.end("handled");
+      }
+    },
+  };
+  const { port } = await startProxy(t, {
+    plugins: [failing, handler],
+    routes: { "/{*rest}": upstream.url },
+  });
+
+  assert.strictEqual((await request(port, { path: "/ok" })).body, "ok");
+  const failed = await request(port, { path: "/fails" });
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(failed.body, "Plugin error");
+  const handled = await request(port, { path: "/handled" });
+  assert.strictEqual(handled.status, 418);
+  assert.deepStrictEqual(errors, ["failing onRequest failed: boom", "failing onRequest failed: boom"]);
+
+  assert.throws(() => loadPlugin({ name: "empty" }), /empty has none of onRequest/);
+  assert.throws(() => loadPlugin({ onRequest: "yes" }), /onRequest must be a function/);
+});
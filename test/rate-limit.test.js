@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { RateLimiter, checkRateLimits } = require("../lib/rate-limit");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+const clientReq = (ip, headers = {}) => ({ headers, socket: { remoteAddress: ip } });
+
+test("a refused request does not use up a bucket shared with others", () => {
+  const perClient = new RateLimiter({ requests: 1, window: 60_000 });
+  const shared = new RateLimiter({ requests: 3, window: 60_000, key: "route" });
+  assert.strictEqual(checkRateLimits([perClient, shared], clientReq("10.0.0.1")).allowed, true);
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(checkRateLimits([perClient, shared], clientReq("10.0.0.1")).allowed, false);
+  }
+  const other = checkRateLimits([perClient, shared], clientReq("10.0.0.2"));
+  assert.strictEqual(other.allowed, true);
+  assert.strictEqual(other.remaining, 0); // The per-client bucket of 10.0.0.2
+  assert.strictEqual(shared.check(clientReq("10.0.0.3")).remaining, 1);
+});
+
+test("requests over the limit get 429 with Retry-After and are counted", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { port } = await startProxy(t, {
+    metrics: true,
+    routes: {
+      "/api": { target: upstream.url, rateLimit: { requests: 2, window: 60_000 } },
+    },
+  });
+
+  const first = await request(port, { path: "/api" });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers["ratelimit-limit"], "2");
+  assert.strictEqual(first.headers["ratelimit-remaining"], "1");
+  assert.strictEqual((await request(port, { path: "/api" })).status, 200);
+
+  const limited = await request(port, { path: "/api" });
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers["ratelimit-remaining"], "0");
+  assert.ok(Number(limited.headers["retry-after"]) >= 1);
+
+  const metrics = await request(port, { path: "/metrics" });
+  assert.match(
+    metrics.body,
+    /frp_requests_rejected_total\{[^}]*reason="rate_limited"[^}]*\} 1/
+  );
+});
+
+test("header-keyed limits only count requests that pass auth", async (t) => {
+  const upstream = await startUpstream(t, (req, res) => res.end("ok"));
+  const { port } = await startProxy(t, {
+    routes: {
+      "/api": {
+        target: upstream.url,
+        auth: { type: "apiKey", keys: ["good-key"] },
+        rateLimit: [
+          { requests: 1, window: 60_000, key: "header:X-API-Key" },
+          { requests: 100, window: 60_000, key: "ip" },
+        ],
+      },
+    },
+  });
+
+  // Guessing keys does not use up the bucket of a key...
+  for (let i = 0; i < 3; i++) {
+    const guess = await request(port, { path: "/api", headers: { "x-api-key": "good-key" + i } });
+    assert.strictEqual(guess.status, 401);
+  }
+  const accepted = await request(port, { path: "/api", headers: { "x-api-key": "good-key" } });
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(accepted.headers["ratelimit-limit"], "1");
+  assert.strictEqual(accepted.headers["ratelimit-remaining"], "0");
+  const limited = await request(port, { path: "/api", headers: { "x-api-key": "good-key" } });
+  assert.strictEqual(limited.status, 429);
+
+  // ...but does count against the client's IP limit
+  const next = await request(port, { path: "/api" });
+  assert.strictEqual(next.headers["ratelimit-limit"], "100");
+  assert.strictEqual(next.headers["ratelimit-remaining"], "94");
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+test("one request id is sent upstream and back to the client", async (t) => {
+  const seen = [];
+  const upstream = await startUpstream(t, (req, res) => {
+    seen.push({ id: req.headers["x-request-id"], traceparent: req.headers.traceparent });
+    res.end("ok");
+  });
+  const { port } = await startProxy(t, { routes: { "/api": upstream.url } });
+  const get = (headers) => request(port, { path: "/api", headers });
+
+  const kept = await get({ "x-request-id": "checkout-42" });
+  assert.strictEqual(kept.headers["x-request-id"], "checkout-42");
+  assert.strictEqual(seen[0].id, "checkout-42");
+
+  const traceparent = "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01";
+  const traced = await get({ traceparent });
+  assert.strictEqual(traced.headers["x-request-id"], "4bf92f3577b34da6a3ce929d0e0e4736");
+  assert.deepStrictEqual(seen[1], { id: "4bf92f3577b34da6a3ce929d0e0e4736", traceparent });
+
+  // Ids that are too long or not plain are replaced
+  for (const incoming of ["x".repeat(129), "two words", "<script>"]) {
+    const response = await get({ "x-request-id": incoming });
+    assert.match(response.headers["x-request-id"], /^[0-9a-f]{16}$/);
+  }
+  const generated = await get({});
+  assert.match(generated.headers["x-request-id"], /^[0-9a-f]{16}$/);
+  assert.strictEqual(seen[seen.length - 1].id, generated.headers["x-request-id"]);
+
+  // Answers from the proxy itself carry it too
+  const missing = await request(port, { path: "/nowhere", headers: { "x-request-id": "lost-1" } });
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.headers["x-request-id"], "lost-1");
+});
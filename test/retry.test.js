@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+// Upstream that records request bodies and answers with `status`
+async function recordingUpstream(t, name, status, log) {
+  return startUpstream(t, (req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      log.push(`${name} ${req.method} ${Buffer.concat(chunks)}`.trim());
+      res.writeHead(status);
+      res.end(name);
+    });
+  });
+}
+
+test("retries go to an upstream that has not failed the request", async (t) => {
+  const log = [];
+  const broken = await recordingUpstream(t, "broken", 503, log);
+  const healthy = await recordingUpstream(t, "healthy", 200, log);
+  const { port } = await startProxy(t, {
+    routes: {
+      "/api": {
+        target: [broken.url, healthy.url],
+        retry: { attempts: 3, statuses: ["5xx"], methods: ["GET", "POST"], backoff: 1 },
+      },
+    },
+  });
+
+  for (let i = 0; i < 2; i++) {
+    const response = await request(port, { path: "/api" });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body, "healthy");
+  }
+  // A kept body is sent again; one of two requests starts on the broken upstream
+  for (let i = 0; i < 2; i++) {
+    const post = await request(port, { method: "POST", path: "/api", body: `payload ${i}` });
+    assert.strictEqual(post.status, 200);
+  }
+  const failed = log.findIndex((line) => line.startsWith("broken POST"));
+  assert.deepStrictEqual(log.slice(failed, failed + 2), [
+    log[failed],
+    log[failed].replace("broken", "healthy"),
+  ]);
+  // Every failure was followed by a try on the other upstream
+  assert.ok(log.some((line) => line.startsWith("broken")));
+  log.forEach((line, index) => {
+    if (line.startsWith("broken")) assert.match(log[index + 1], /^healthy/);
+  });
+});
+
+test("the last attempt's response is sent when every attempt fails", async (t) => {
+  const log = [];
+  const broken = await recordingUpstream(t, "broken", 502, log);
+  const { port } = await startProxy(t, {
+    routes: { "/api": { target: broken.url, retry: { attempts: 3, statuses: [502], backoff: 1 } } },
+  });
+  const response = await request(port, { path: "/api" });
+  assert.strictEqual(response.status, 502);
+  assert.deepStrictEqual(log, ["broken GET", "broken GET", "broken GET"]);
+});
+
+test("requests that are not idempotent are not retried unless listed", async (t) => {
+  const log = [];
+  const broken = await recordingUpstream(t, "broken", 503, log);
+  const { port } = await startProxy(t, {
+    routes: {
+      "/default": { target: broken.url, retry: { attempts: 3, statuses: [503], backoff: 1 } },
+      "/off": { target: broken.url, retry: false },
+    },
+  });
+  assert.strictEqual((await request(port, { method: "POST", path: "/default", body: "x" })).status, 503);
+  assert.deepStrictEqual(log, ["broken POST x"]);
+  assert.strictEqual((await request(port, { path: "/off" })).status, 503);
+  assert.strictEqual(log.length, 2);
+});
+
+test("reset connections are retried for safe methods", async (t) => {
+  let calls = 0;
+  const flaky = await startUpstream(t, (req, res) => {
+    if (++calls === 1) {
+      req.socket.destroy();
+      return;
+    }
+    res.end("second try");
+  });
+  const { port } = await startProxy(t, { routes: { "/api": flaky.url } });
+  const response = await request(port, { path: "/api" });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body, "second try");
+  assert.strictEqual(calls, 2);
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const https = require("https");
+const selfsigned = require("selfsigned");
+const { startUpstream, startProxy, request } = require("./helpers");
+
+// A certificate for `names`, written to cert.pem and key.pem in a new directory
+function writeCertificate(t, names) {
+  const pems = selfsigned.generate([{ name: "commonName", value: names[0] }], {
+    keySize: 2048,
+    algorithm: "sha256",
+    extensions: [
+      {
+        name: "subjectAltName",
+        altNames: names.map((name) =>
+          /^[\d.]+$/.test(name) ? { type: 7, ip: name } : { type: 2, value: name }
+        ),
+      },
+    ],
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "frp-tls-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = { cert: path.join(dir, "cert.pem"), key: path.join(dir, "key.pem") };
+  fs.writeFileSync(files.cert, pems.cert);
+  fs.writeFileSync(files.key, pems.private);
+  return { ...files, pem: pems.cert };
+}
+
+// GET over HTTPS, trusting only `ca`; resolves with the status, body and the
+// name on the certificate the server presented
+function httpsGet(port, urlPath, { ca, servername }) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      { host: "127.0.0.1", port, path: urlPath, ca, servername, agent: false },
+      (res) => {
+        const subject = res.socket.getPeerCertificate().subject;
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: Buffer.concat(chunks).toString(),
+            certificate: subject && subject.CN,
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+test("the proxy serves HTTPS, with SNI certificates per hostname", async (t) => {
+  const upstream = await startUpstream(t, (req, res) =>
+    res.end(`secure ${req.headers["x-forwarded-proto"]}`)
+  );
+  const main = writeCertificate(t, ["localhost", "127.0.0.1"]);
+  const api = writeCertificate(t, ["api.local.test"]);
+  const { port } = await startProxy(t, {
+    tls: {
+      cert: main.cert,
+      key: main.key,
+      sni: { "api.local.test": { cert: api.cert, key: api.key } },
+    },
+    routes: { "/api": upstream.url },
+  });
+
+  const direct = await httpsGet(port, "/api", { ca: main.pem });
+  assert.deepStrictEqual(direct, { status: 200, body: "secure https", certificate: "localhost" });
+  const named = await httpsGet(port, "/api", { ca: api.pem, servername: "api.local.test" });
+  assert.strictEqual(named.certificate, "api.local.test");
+  // Other hostnames get the main certificate
+  const other = await httpsGet(port, "/api", { ca: main.pem, servername: "localhost" });
+  assert.strictEqual(other.certificate, "localhost");
+  await assert.rejects(httpsGet(port, "/api", { ca: api.pem }), /self[- ]signed|unable to verify/);
+});
+
+test("upstream certificates are verified unless a CA is given or verify is off", async (t) => {
+  const certificate = writeCertificate(t, ["127.0.0.1"]);
+  const upstream = https.createServer(
+    { cert: certificate.pem, key: fs.readFileSync(certificate.key) },
+    (req, res) => res.end("from https")
+  );
+  await new Promise((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    upstream.closeAllConnections();
+    upstream.close();
+  });
+  const target = `https://127.0.0.1:${upstream.address().port}`;
+  const { port } = await startProxy(t, {
+    routes: {
+      "/verified": target,
+      "/trusted": { target, upstreamTls: { ca: certificate.cert } },
+      "/unverified": { target, upstreamTls: { verify: false } },
+      "/wrong-name": { target, upstreamTls: { ca: certificate.cert, servername: "other.test" } },
+    },
+  });
+
+  assert.strictEqual((await request(port, { path: "/verified" })).status, 502);
+  const trusted = await request(port, { path: "/trusted" });
+  assert.strictEqual(trusted.status, 200);
+  assert.strictEqual(trusted.body, "from https");
+  assert.strictEqual((await request(port, { path: "/unverified" })).status, 200);
+  assert.strictEqual((await request(port, { path: "/wrong-name" })).status, 502);
+
+  await assert.rejects(
+    startProxy(t, { routes: { "/x": { target, upstreamTls: { ca: "/missing/ca.pem" } } } }),
+    /ca.pem/
+  );
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { UpstreamPool } = require("../lib/upstream-pool");
+const { CLIENT_IP } = require("../lib/guards");
+
+const urls = ["http://a.test", "http://b.test", "http://c.test", "http://d.test"];
+const client = (ip) => ({ [CLIENT_IP]: ip, socket: {} });
+const pick = (pool, req, isAvailable) => {
+  const target = pool.acquire(req, isAvailable);
+  pool.release(target);
+  return target.url;
+};
+
+test("round-robin and weighted spread requests over the targets", () => {
+  const roundRobin = new UpstreamPool(urls.slice(0, 3));
+  assert.deepStrictEqual(
+    [1, 2, 3, 4].map(() => pick(roundRobin)),
+    ["http://a.test", "http://b.test", "http://c.test", "http://a.test"]
+  );
+  const weighted = new UpstreamPool([
+    { url: "http://a.test", weight: 3 },
+    { url: "http://b.test", weight: 1 },
+  ]);
+  assert.strictEqual(weighted.strategy, "weighted");
+  const counts = {};
+  for (let i = 0; i < 8; i++) {
+    const url = pick(weighted);
+    counts[url] = (counts[url] || 0) + 1;
+  }
+  assert.deepStrictEqual(counts, { "http://a.test": 6, "http://b.test": 2 });
+});
+
+test("least-connections prefers the least busy target", () => {
+  const pool = new UpstreamPool({ target: urls.slice(0, 2), strategy: "least-connections" });
+  const first = pool.acquire();
+  assert.notStrictEqual(pool.acquire().url, first.url);
+  pool.release(first);
+  assert.strictEqual(pool.acquire().url, first.url);
+});
+
+test("unavailable targets are skipped while another is left", () => {
+  const pool = new UpstreamPool(urls.slice(0, 2));
+  const onlyB = (url) => url === "http://b.test";
+  assert.deepStrictEqual([1, 2].map(() => pick(pool, null, onlyB)), ["http://b.test", "http://b.test"]);
+  assert.ok(urls.slice(0, 2).includes(pick(pool, null, () => false)));
+});
+
+test("ip-hash keeps clients on their upstream when another one goes down", () => {
+  const pool = new UpstreamPool({ target: urls, strategy: "ip-hash" });
+  const ips = Array.from({ length: 200 }, (_, i) => `10.0.${i >> 8}.${i & 255}`);
+  const before = new Map(ips.map((ip) => [ip, pick(pool, client(ip))]));
+  assert.strictEqual(new Set(before.values()).size, urls.length);
+  assert.deepStrictEqual(ips.map((ip) => pick(pool, client(ip))), [...before.values()]);
+
+  const down = "http://b.test";
+  for (const ip of ips) {
+    const url = pick(pool, client(ip), (candidate) => candidate !== down);
+    if (before.get(ip) === down) {
+      assert.notStrictEqual(url, down);
+    } else {
+      assert.strictEqual(url, before.get(ip));
+    }
+  }
+});
+
+test("concurrency limits queue requests until a slot frees up", async () => {
+  const pool = new UpstreamPool({ target: urls[0], concurrency: { max: 1, queueTimeout: 50 } });
+  const busy = pool.acquire();
+  assert.strictEqual(pool.acquire(), null);
+  assert.ok(pool.isAtCapacity());
+  const waited = new Promise((resolve) => pool.waitForTarget({}, null, (error, target) => resolve({ error, target })));
+  pool.release(busy);
+  const { error, target } = await waited;
+  assert.strictEqual(error, null);
+  assert.strictEqual(target.url, urls[0]);
+
+  const timedOut = await new Promise((resolve) => pool.waitForTarget({}, null, resolve));
+  assert.strictEqual(timedOut.code, "QUEUE_TIMEOUT");
+});
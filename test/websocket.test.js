@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { startUpstream, startProxy } = require("./helpers");
+
+// Upstream that accepts upgrades and echoes what the client sends, prefixed
+// with the user header the proxy forwarded
+async function startEchoUpstream(t) {
+  const upstream = await startUpstream(t, (req, res) => res.end());
+  upstream.server.on("upgrade", (req, socket) => {
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n"
+    );
+    socket.on("data", (data) => socket.write(`${req.headers["x-user"] || "-"} ${data}`));
+    socket.on("end", () => socket.end());
+  });
+  return upstream;
+}
+
+// Resolves with { status, headers } and, once upgraded, the echo of `message`
+function upgrade(port, path, { headers = {}, method = "GET", protocol = "websocket", message } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: "127.0.0.1",
+      port,
+      path,
+      method,
+      agent: false,
+      headers: { Connection: "Upgrade", Upgrade: protocol, ...headers },
+    });
+    req.on("upgrade", (res, socket) => {
+      socket.once("data", (data) => {
+        socket.destroy();
+        resolve({ status: res.statusCode, echo: data.toString() });
+      });
+      socket.write(message);
+    });
+    req.on("response", (res) => {
+      res.resume();
+      resolve({ status: res.statusCode, headers: res.headers });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+test("WebSocket upgrades are proxied to the route's upstream", async (t) => {
+  const upstream = await startEchoUpstream(t);
+  const { port } = await startProxy(t, { routes: { "/socket": upstream.url } });
+
+  const result = await upgrade(port, "/socket", { message: "hello" });
+  assert.deepStrictEqual(result, { status: 101, echo: "- hello" });
+  assert.strictEqual((await upgrade(port, "/elsewhere", { message: "x" })).status, 404);
+  assert.strictEqual((await upgrade(port, "/socket", { protocol: "h2c" })).status, 501);
+  assert.strictEqual((await upgrade(port, "/socket", { method: "POST" })).status, 501);
+});
+
+test("upgrades pass auth and rate limits like requests", async (t) => {
+  const upstream = await startEchoUpstream(t);
+  const { port } = await startProxy(t, {
+    routes: {
+      "/socket": {
+        target: upstream.url,
+        auth: { type: "apiKey", keys: { ann: "k1" }, forwardClaims: { sub: "X-User" } },
+        rateLimit: { requests: 2, window: 60_000, key: "header:X-API-Key" },
+      },
+    },
+  });
+  const withKey = (key) => ({ headers: { "x-api-key": key }, message: "hi" });
+
+  const missing = await upgrade(port, "/socket", { message: "hi" });
+  assert.strictEqual(missing.status, 401);
+  assert.match(missing.headers["www-authenticate"], /ApiKey/);
+  assert.strictEqual((await upgrade(port, "/socket", withKey("wrong"))).status, 401);
+  assert.deepStrictEqual(await upgrade(port, "/socket", withKey("k1")), { status: 101, echo: "ann hi" });
+  assert.strictEqual((await upgrade(port, "/socket", withKey("k1"))).status, 101);
+  const limited = await upgrade(port, "/socket", withKey("k1"));
+  assert.strictEqual(limited.status, 429);
+  assert.ok(Number(limited.headers["retry-after"]) >= 1);
+});